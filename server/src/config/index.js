@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+
+// Express accepts a hop count, a boolean or a list of trusted addresses
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value;
+};
+
+// Central server configuration, read once from the environment
+const config = {
+  // Which video-data backend to use: 'youtube' (Data API v3) or 'fixture' (local JSON)
+  videoProvider: (process.env.VIDEO_PROVIDER || 'youtube').toLowerCase(),
+  youtubeApiKey: process.env.YOUTUBE_API_KEY,
+  fixturesDir: process.env.FIXTURES_DIR
+    ? path.resolve(process.env.FIXTURES_DIR)
+    : path.resolve(__dirname, '../../fixtures/youtube'),
+  // Where the server keeps its own state (quota ledger, caches, stores)
+  dataDir: process.env.DATA_DIR
+    ? path.resolve(process.env.DATA_DIR)
+    : path.resolve(__dirname, '../../data'),
+  // Daily YouTube Data API unit budget; the default project quota is 10,000
+  quotaDailyBudget: parseInt(process.env.QUOTA_DAILY_BUDGET, 10) || 10000,
+  // Key for signing page tokens. Without one a random key is made at startup,
+  // so page tokens stop working when the server restarts.
+  cursorSecret: process.env.CURSOR_SECRET || crypto.randomBytes(32).toString('hex'),
+  cache: {
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 5000,
+    // Also persist cached responses under DATA_DIR/cache so they survive restarts
+    disk: process.env.CACHE_DISK === 'true',
+    // Seconds each kind of lookup stays fresh
+    ttlSeconds: {
+      videos: parseInt(process.env.CACHE_TTL_VIDEOS, 10) || 6 * 3600,
+      search: parseInt(process.env.CACHE_TTL_SEARCH, 10) || 3600,
+      channels: parseInt(process.env.CACHE_TTL_CHANNELS, 10) || 24 * 3600,
+      playlists: parseInt(process.env.CACHE_TTL_PLAYLISTS, 10) || 3600,
+      playlistItems: parseInt(process.env.CACHE_TTL_PLAYLIST_ITEMS, 10) || 3600
+    }
+  },
+  // Watch-history uploads are streamed to a temp file and parsed incrementally
+  upload: {
+    tempDir: process.env.UPLOAD_TEMP_DIR
+      ? path.resolve(process.env.UPLOAD_TEMP_DIR)
+      : path.join(os.tmpdir(), 'recfix-uploads'),
+    maxBytes: (parseInt(process.env.UPLOAD_MAX_MB, 10) || 512) * 1024 * 1024,
+    maxEntries: parseInt(process.env.UPLOAD_MAX_ENTRIES, 10) || 1000000
+  },
+  // How seed videos are picked from an uploaded watch history
+  seeds: {
+    size: parseInt(process.env.SEED_COUNT, 10) || 10,
+    // Largest seed count a request may ask for; each seed costs ~100 quota units
+    maxSize: parseInt(process.env.SEED_MAX_COUNT, 10) || 25,
+    // A watch this many days older than the newest one counts half as much
+    halfLifeDays: parseFloat(process.env.SEED_HALF_LIFE_DAYS) || 14,
+    maxPerChannel: parseInt(process.env.SEED_MAX_PER_CHANNEL, 10) || 2
+  },
+  // Playlist links given as seeds are expanded into their member videos
+  playlists: {
+    // Members read from each playlist (one quota unit per 50)
+    maxItems: parseInt(process.env.PLAYLIST_MAX_ITEMS, 10) || 200,
+    // Seeds sampled from each playlist's members
+    seedsPerPlaylist: parseInt(process.env.PLAYLIST_SEEDS, 10) || 5
+  },
+  // Channel links given as seeds, and channel recommendations
+  channels: {
+    // Most recent uploads taken from each seed channel
+    seedsPerChannel: parseInt(process.env.CHANNEL_SEEDS, 10) || 3,
+    // Channels returned by /api/recommendations/channels
+    maxResults: parseInt(process.env.CHANNEL_MAX_RESULTS, 10) || 10,
+    // Sample videos shown for each recommended channel
+    sampleVideos: parseInt(process.env.CHANNEL_SAMPLE_VIDEOS, 10) || 3
+  },
+  // Diversity re-ranking defaults; requests can override both
+  ranking: {
+    // 0 keeps pure relevance order, 1 favours novelty as much as possible
+    diversity: process.env.RANKING_DIVERSITY !== undefined
+      ? Math.min(1, Math.max(0, parseFloat(process.env.RANKING_DIVERSITY) || 0))
+      : 0.3,
+    maxPerChannel: parseInt(process.env.RANKING_MAX_PER_CHANNEL, 10) || 3
+  },
+  // Saved recommendation runs (oldest are dropped past this many)
+  runs: {
+    maxStored: parseInt(process.env.RUNS_MAX_STORED, 10) || 200
+  },
+  // Google sign-in (OAuth 2.0 authorization code flow), used to save runs as
+  // playlists on the user's own channel. Every URL can point at a local
+  // stand-in server instead of Google.
+  oauth: {
+    clientId: process.env.GOOGLE_CLIENT_ID,
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+    redirectUri: process.env.GOOGLE_REDIRECT_URI ||
+      `http://localhost:${process.env.PORT || 3002}/api/auth/google/callback`,
+    authUrl: process.env.GOOGLE_AUTH_URL || 'https://accounts.google.com/o/oauth2/v2/auth',
+    tokenUrl: process.env.GOOGLE_TOKEN_URL || 'https://oauth2.googleapis.com/token',
+    revokeUrl: process.env.GOOGLE_REVOKE_URL || 'https://oauth2.googleapis.com/revoke',
+    youtubeApiUrl: (process.env.YOUTUBE_API_URL || 'https://www.googleapis.com/youtube/v3').replace(/\/+$/, ''),
+    scope: 'https://www.googleapis.com/auth/youtube',
+    // Signed-in sessions unused for this long are forgotten
+    sessionTtlDays: parseInt(process.env.GOOGLE_SESSION_TTL_DAYS, 10) || 30
+  },
+  // Background jobs for asynchronous uploads
+  jobs: {
+    concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 1,
+    // Finished jobs and their results are dropped after this many seconds
+    ttlSeconds: parseInt(process.env.JOB_TTL_SECONDS, 10) || 3600,
+    maxQueued: parseInt(process.env.JOB_MAX_QUEUED, 10) || 20
+  },
+  // Express "trust proxy" setting, needed for real client IPs behind a proxy
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+  // Per-client limits on recommendation runs, keyed by API token or IP
+  rateLimit: {
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    store: process.env.RATE_LIMIT_STORE === 'file' ? 'file' : 'memory',
+    // API tokens that get their own limits instead of sharing their IP's
+    apiTokens: (process.env.RATE_LIMIT_API_TOKENS || '').split(',').map(token => token.trim()).filter(Boolean),
+    burst: {
+      limit: parseInt(process.env.RATE_LIMIT_BURST, 10) || 5,
+      windowSeconds: parseInt(process.env.RATE_LIMIT_BURST_WINDOW, 10) || 60
+    },
+    daily: {
+      limit: parseInt(process.env.RATE_LIMIT_DAILY, 10) || 2,
+      windowSeconds: 24 * 3600
+    }
+  }
+};
+
+module.exports = config;
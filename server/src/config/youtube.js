@@ -1,24 +1,18 @@
 const { google } = require('googleapis');
 
-if (!process.env.YOUTUBE_API_KEY) {
-  throw new Error('YouTube API key is required');
-}
+// Create YouTube client. No request is made until a provider method is called,
+// so importing this module never touches the network.
+const createYouTubeClient = (apiKey) => {
+  if (!apiKey) {
+    throw new Error('YouTube API key is required');
+  }
 
-// Create YouTube client
-const youtube = google.youtube({
-  version: 'v3',
-  auth: process.env.YOUTUBE_API_KEY
-});
+  return google.youtube({
+    version: 'v3',
+    auth: apiKey
+  });
+};
 
-// Test the configuration
-youtube.search.list({
-  part: 'snippet',
-  q: 'test',
-  maxResults: 1
-}).then(() => {
-  console.log('YouTube API client configured and working');
-}).catch(error => {
-  console.error('YouTube API configuration test failed:', error.message);
-});
-
-module.exports = youtube; 
\ No newline at end of file
+module.exports = {
+  createYouTubeClient
+};
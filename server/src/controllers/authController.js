@@ -0,0 +1,42 @@
+const { SESSION_HEADER, startAuthorization, completeAuthorization, signOut } = require('../services/oauthService');
+const { sendError } = require('../utils/errors');
+
+class AuthController {
+  // Send the user to Google's consent screen; ?redirect=false returns the
+  // URL instead, for clients that open it themselves
+  static startGoogleSignIn(req, res) {
+    try {
+      const authorization = startAuthorization();
+      if (req.query.redirect === 'false') {
+        return res.json(authorization);
+      }
+      res.redirect(authorization.authorizationUrl);
+    } catch (error) {
+      console.error('Error in startGoogleSignIn:', error);
+      sendError(res, error, 'Failed to start Google sign-in');
+    }
+  }
+
+  // Google redirects here with ?code&state (or ?error). The response carries
+  // the session id to send back in the X-Google-Session header.
+  static async completeGoogleSignIn(req, res) {
+    try {
+      const { code, state, error } = req.query;
+      res.json(await completeAuthorization({ code, state, error }));
+    } catch (error) {
+      console.error('Error in completeGoogleSignIn:', error);
+      sendError(res, error, 'Failed to complete Google sign-in');
+    }
+  }
+
+  static async signOut(req, res) {
+    try {
+      await signOut(req.get(SESSION_HEADER));
+      res.status(204).end();
+    } catch (error) {
+      sendError(res, error, 'Failed to sign out');
+    }
+  }
+}
+
+module.exports = AuthController;
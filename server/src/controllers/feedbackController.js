@@ -0,0 +1,26 @@
+const { recordFeedback, getFeedback } = require('../services/feedbackService');
+const { sendError } = require('../utils/errors');
+
+class FeedbackController {
+  // Thumbs up/down on videos or channels; later runs for the same profile
+  // boost or demote similar candidates
+  static async recordItems(req, res) {
+    try {
+      res.json(await recordFeedback(req.body));
+    } catch (error) {
+      console.error('Error in recordItems:', error);
+      sendError(res, error, 'Failed to record feedback');
+    }
+  }
+
+  static getProfileFeedback(req, res) {
+    try {
+      res.json(getFeedback(req.query.profileId));
+    } catch (error) {
+      console.error('Error in getProfileFeedback:', error);
+      sendError(res, error, 'Failed to read feedback');
+    }
+  }
+}
+
+module.exports = FeedbackController;
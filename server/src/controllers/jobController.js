@@ -0,0 +1,71 @@
+const { getJobQueue } = require('../services/jobQueue');
+
+const HEARTBEAT_MS = 15000;
+
+class JobController {
+  static getJob(req, res) {
+    const job = getJobQueue().get(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found. It may have expired.' });
+    }
+    res.json(job);
+  }
+
+  static cancelJob(req, res) {
+    const job = getJobQueue().cancel(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found. It may have expired.' });
+    }
+    res.status(202).json(job);
+  }
+
+  // Server-sent events: the current state right away, then every update
+  // until the job finishes
+  static streamJobEvents(req, res) {
+    const queue = getJobQueue();
+    const job = queue.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found. It may have expired.' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    let unsubscribe = null;
+    const close = () => {
+      clearInterval(heartbeat);
+      if (unsubscribe) unsubscribe();
+      res.end();
+    };
+
+    const onUpdate = (update) => {
+      if (queue.isFinished(update)) {
+        send(update.status, update);
+        close();
+      } else {
+        send('progress', { id: update.id, status: update.status, progress: update.progress });
+      }
+    };
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+    req.on('close', close);
+
+    if (queue.isFinished(job)) {
+      send(job.status, job);
+      return close();
+    }
+
+    send('progress', { id: job.id, status: job.status, progress: job.progress });
+    unsubscribe = queue.subscribe(job.id, onUpdate);
+  }
+}
+
+module.exports = JobController;
@@ -0,0 +1,64 @@
+const {
+  createProfile,
+  getProfile,
+  updateProfile,
+  deleteProfile,
+  listProfiles
+} = require('../services/profileService');
+const { runProfile } = require('../services/recommendationService');
+const { sendError } = require('../utils/errors');
+
+class ProfileController {
+  static listProfiles(req, res) {
+    res.json(listProfiles());
+  }
+
+  static createProfile(req, res) {
+    try {
+      res.status(201).json(createProfile(req.body));
+    } catch (error) {
+      console.error('Error in createProfile:', error);
+      sendError(res, error, 'Failed to save profile');
+    }
+  }
+
+  static getProfile(req, res) {
+    try {
+      res.json(getProfile(req.params.id));
+    } catch (error) {
+      sendError(res, error, 'Failed to read profile');
+    }
+  }
+
+  static updateProfile(req, res) {
+    try {
+      res.json(updateProfile(req.params.id, req.body));
+    } catch (error) {
+      console.error('Error in updateProfile:', error);
+      sendError(res, error, 'Failed to save profile');
+    }
+  }
+
+  static deleteProfile(req, res) {
+    try {
+      deleteProfile(req.params.id);
+      res.status(204).end();
+    } catch (error) {
+      sendError(res, error, 'Failed to delete profile');
+    }
+  }
+
+  // Run the profile's saved seeds and options; ?mode=channels recommends
+  // channels instead of videos
+  static async runProfile(req, res) {
+    try {
+      const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+      res.json(await runProfile(req.params.id, { mode: req.query.mode, limit }));
+    } catch (error) {
+      console.error('Error in runProfile:', error);
+      sendError(res, error, 'Failed to run profile');
+    }
+  }
+}
+
+module.exports = ProfileController;
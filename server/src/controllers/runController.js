@@ -0,0 +1,93 @@
+const { listRuns, getRun } = require('../services/runService');
+const { rerun } = require('../services/recommendationService');
+const { diffSnapshots } = require('../services/snapshotService');
+const { exportRun } = require('../services/exportService');
+const { createPlaylistFromRun } = require('../services/youtubePlaylistService');
+const { SESSION_HEADER } = require('../services/oauthService');
+const { sendError } = require('../utils/errors');
+
+const RUN_KINDS = ['videos', 'channels', 'upload'];
+
+class RunController {
+  // Saved runs, newest first, without their items; filter with ?profileId=
+  // and ?kind=
+  static listRuns(req, res) {
+    const { profileId, kind } = req.query;
+    const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+
+    if (kind !== undefined && !RUN_KINDS.includes(kind)) {
+      return res.status(400).json({ error: `kind must be one of: ${RUN_KINDS.join(', ')}` });
+    }
+    if (limit !== undefined && !(Number.isInteger(limit) && limit > 0 && limit <= 100)) {
+      return res.status(400).json({ error: 'limit must be a whole number between 1 and 100' });
+    }
+
+    res.json(listRuns({ profileId, kind, limit }));
+  }
+
+  static getRun(req, res) {
+    const run = getRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found. It may have been dropped from the history.' });
+    }
+    res.json(run);
+  }
+
+  // Download a run as CSV, portable JSON, an M3U playlist or an OPML list of
+  // channel feeds (?format=, JSON by default)
+  static exportRun(req, res) {
+    const run = getRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found. It may have been dropped from the history.' });
+    }
+
+    try {
+      const file = exportRun(run, req.query.format);
+      res.attachment(file.fileName);
+      res.type(file.contentType);
+      res.send(file.body);
+    } catch (error) {
+      console.error('Error in exportRun:', error);
+      sendError(res, error, 'Failed to export run');
+    }
+  }
+
+  // Save a run as a private playlist on the signed-in user's YouTube
+  // channel; the body may set { title, description }
+  static async saveAsPlaylist(req, res) {
+    try {
+      const { title, description } = req.body || {};
+      const result = await createPlaylistFromRun(req.params.id, {
+        sessionId: req.get(SESSION_HEADER),
+        title,
+        description
+      });
+      res.status(201).json(result);
+    } catch (error) {
+      console.error('Error in saveAsPlaylist:', error);
+      sendError(res, error, 'Failed to save playlist');
+    }
+  }
+
+  // Compare two saved video runs ("snapshots") from :a to :b
+  static diffSnapshots(req, res) {
+    try {
+      res.json(diffSnapshots(req.params.a, req.params.b));
+    } catch (error) {
+      console.error('Error in diffSnapshots:', error);
+      sendError(res, error, 'Failed to compare snapshots');
+    }
+  }
+
+  // Same inputs, fresh results: the response is a new run with rerunOf set
+  static async rerun(req, res) {
+    try {
+      res.json(await rerun(req.params.id));
+    } catch (error) {
+      console.error('Error in rerun:', error);
+      sendError(res, error, 'Failed to re-run recommendations');
+    }
+  }
+}
+
+module.exports = RunController;
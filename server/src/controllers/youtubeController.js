@@ -1,80 +1,21 @@
-const YouTubeService = require('../services/youtubeService');
+const { sendError } = require('../utils/errors');
+const { removeUpload } = require('../middleware/upload');
+const { processHistoryUpload, analyzeHistoryUpload } = require('../services/historyService');
+const { getJobQueue } = require('../services/jobQueue');
+const { MAX_SESSION_LIMIT } = require('../services/insightsService');
+const config = require('../config');
+const { readProfileId, recommendVideos, recommendSimilarChannels } = require('../services/recommendationService');
 
 class YouTubeController {
   static async handleUrlInput(req, res) {
     try {
-      const { urls } = req.body;
+      const { urls, shuffle, options, profileId } = req.body;
       const { pageToken } = req.query;
-      
-      if (!Array.isArray(urls) || urls.length === 0) {
-        return res.status(400).json({ error: 'Please provide valid YouTube URLs' });
-      }
-
-      if (urls.length > 5) {
-        return res.status(400).json({ 
-          error: 'Maximum 5 URLs allowed at once for better recommendations' 
-        });
-      }
-
-      const videoIds = urls
-        .map(url => YouTubeService.extractVideoId(url))
-        .filter(Boolean);
 
-      if (videoIds.length === 0) {
-        return res.status(400).json({ error: 'No valid YouTube URLs found' });
-      }
-
-      console.log(`Processing ${videoIds.length} videos with pageToken: ${pageToken || 'none'}`);
-
-      // Get recommendations with pagination support
-      const result = await YouTubeService.processVideoUrls(
-        urls, 
-        process.env.YOUTUBE_API_KEY, 
-        pageToken
-      );
-
-      if (!result.items || result.items.length === 0) {
-        return res.status(404).json({ 
-          error: 'No recommendations found. Try different videos.' 
-        });
-      }
-
-      // Log some stats about the recommendations
-      const channelStats = new Map();
-      result.items.forEach(video => {
-        const channelId = video.snippet.channelId;
-        channelStats.set(channelId, (channelStats.get(channelId) || 0) + 1);
-      });
-
-      console.log('Recommendation stats:', {
-        totalVideos: result.items.length,
-        uniqueChannels: channelStats.size,
-        channelDistribution: Array.from(channelStats.entries())
-          .map(([channel, count]) => `${count} videos`)
-          .join(', ')
-      });
-
-      res.json({ 
-        recommendations: result.items,
-        nextPageToken: result.nextPageToken,
-        total: result.items.length,
-        stats: {
-          uniqueChannels: channelStats.size,
-          videosPerChannel: Math.round(result.items.length / channelStats.size * 10) / 10
-        }
-      });
-      
+      res.json(await recommendVideos({ urls, options, pageToken, shuffle, profileId }));
     } catch (error) {
       console.error('Controller error:', error);
 
-      // Handle specific error types
-      if (error.code === 403) {
-        return res.status(403).json({ 
-          error: 'YouTube API quota exceeded. Please try again later.',
-          details: process.env.NODE_ENV === 'development' ? error.message : undefined
-        });
-      }
-
       if (error.code === 404) {
         return res.status(404).json({ 
           error: 'One or more videos not found. They might be private or deleted.',
@@ -82,94 +23,129 @@ class YouTubeController {
         });
       }
 
-      res.status(500).json({ 
-        error: 'Failed to get recommendations',
-        details: process.env.NODE_ENV === 'development' ? error.message : undefined
-      });
+      sendError(res, error, 'Failed to get recommendations');
+    }
+  }
+
+  static async handleChannelRecommendations(req, res) {
+    try {
+      const { urls, options, profileId } = req.body;
+      const limit = req.body.limit === undefined ? undefined : Number(req.body.limit);
+
+      res.json(await recommendSimilarChannels({ urls, options, limit, profileId }));
+    } catch (error) {
+      console.error('Error in handleChannelRecommendations:', error);
+      sendError(res, error, 'Failed to get channel recommendations');
     }
   }
 
   static async handleFileUpload(req, res) {
+    let runningAsJob = false;
     try {
       if (!req.file) {
         return res.status(400).json({ error: 'No file uploaded' });
       }
 
-      let watchHistory;
-      try {
-        watchHistory = JSON.parse(req.file.buffer.toString());
-      } catch (err) {
-        return res.status(400).json({ 
-          error: 'Invalid JSON file format. Please upload a valid Google Takeout watch-history.json file.' 
+      const requestedSeeds = req.query.seedCount ?? req.body.seedCount;
+      const seedCount = requestedSeeds === undefined ? undefined : Number(requestedSeeds);
+      if (seedCount !== undefined && !(Number.isInteger(seedCount) && seedCount > 0 && seedCount <= config.seeds.maxSize)) {
+        return res.status(400).json({
+          error: `seedCount must be a whole number between 1 and ${config.seeds.maxSize}`
         });
       }
 
-      if (!Array.isArray(watchHistory)) {
-        return res.status(400).json({ 
-          error: 'Invalid watch history format. The file should contain an array of watch history entries.' 
-        });
+      // Watched videos are never recommended unless this allows rewatching
+      // ones last seen at least this many days ago
+      const requestedRewatch = req.query.allowRewatchAfterDays ?? req.body.allowRewatchAfterDays;
+      const allowRewatchAfterDays = requestedRewatch === undefined ? undefined : Number(requestedRewatch);
+      if (allowRewatchAfterDays !== undefined && !(allowRewatchAfterDays >= 0)) {
+        return res.status(400).json({ error: 'allowRewatchAfterDays must be a number of days, 0 or more' });
       }
 
-      // Validate watch history entries
-      const validEntries = watchHistory.filter(entry => 
-        entry && 
-        typeof entry === 'object' && 
-        entry.titleUrl && 
-        typeof entry.titleUrl === 'string' &&
-        entry.time &&
-        typeof entry.time === 'string'
-      );
-
-      if (validEntries.length === 0) {
-        return res.status(400).json({ 
-          error: 'No valid watch history entries found in the file.' 
+      const profileId = readProfileId(req.query.profileId ?? req.body.profileId);
+
+      const runOptions = { seedCount, allowRewatchAfterDays, profileId };
+
+      // ?async=true (or "Prefer: respond-async") hands the work to the job
+      // queue and answers right away with where to follow it
+      if (req.query.async === 'true' || /respond-async/i.test(req.get('prefer') || '')) {
+        const file = req.file;
+        const { refundRateLimit } = res.locals;
+        const job = getJobQueue().enqueue(
+          'upload',
+          ({ signal, reportProgress }) => processHistoryUpload(file, { ...runOptions, signal, onProgress: reportProgress }),
+          {
+            onSettled: (settled) => {
+              // The 202 counted as a run; one that never finished does not
+              if (settled.status !== 'completed' && refundRateLimit) refundRateLimit();
+              return removeUpload(file);
+            }
+          }
+        );
+        runningAsJob = true;
+
+        return res.status(202).json({
+          jobId: job.id,
+          status: job.status,
+          statusUrl: `${req.baseUrl}/jobs/${job.id}`,
+          eventsUrl: `${req.baseUrl}/jobs/${job.id}/events`
         });
       }
 
-      console.log(`Processing ${validEntries.length} watch history entries`);
-
-      // Process the watch history
-      const result = await YouTubeService.processTakeoutFile(
-        validEntries,
-        process.env.YOUTUBE_API_KEY
-      );
-
-      // Calculate channel diversity
-      const channelCounts = new Map();
-      result.items.forEach(video => {
-        const channelId = video.snippet.channelId;
-        channelCounts.set(channelId, (channelCounts.get(channelId) || 0) + 1);
-      });
-
-      res.json({
-        recommendations: result.items,
-        nextPageToken: result.nextPageToken,
-        total: result.items.length,
-        stats: {
-          processedEntries: validEntries.length,
-          uniqueChannels: channelCounts.size,
-          videosPerChannel: Math.round(result.items.length / channelCounts.size * 10) / 10
-        }
-      });
+      // Accepts Takeout JSON, Takeout HTML or a whole Takeout .zip
+      res.json(await processHistoryUpload(req.file, runOptions));
     } catch (error) {
       console.error('Error in handleFileUpload:', error);
-      
+
       if (error instanceof SyntaxError) {
         return res.status(400).json({ 
           error: 'Invalid file format. Please upload a valid JSON file from Google Takeout.' 
         });
       }
 
-      if (error.code === 403) {
-        return res.status(403).json({ 
-          error: 'YouTube API quota exceeded. Please try again later.' 
-        });
+      sendError(res, error, 'Failed to process watch history');
+    } finally {
+      // Jobs clean up their own upload once they finish
+      if (!runningAsJob) await removeUpload(req.file);
+    }
+  }
+
+  static async handleHistoryInsights(req, res) {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+      }
+
+      // Options may come as query parameters or as multipart fields
+      const options = { ...req.body, ...req.query };
+      const sessionGapMinutes = options.sessionGapMinutes === undefined
+        ? undefined
+        : Number(options.sessionGapMinutes);
+      const topChannels = options.topChannels === undefined ? undefined : Number(options.topChannels);
+      const sessionLimit = options.sessionLimit === undefined ? undefined : Number(options.sessionLimit);
+
+      if (sessionGapMinutes !== undefined && !(sessionGapMinutes > 0)) {
+        return res.status(400).json({ error: 'sessionGapMinutes must be a positive number' });
+      }
+      if (topChannels !== undefined && !(Number.isInteger(topChannels) && topChannels > 0)) {
+        return res.status(400).json({ error: 'topChannels must be a positive integer' });
+      }
+      if (sessionLimit !== undefined &&
+          !(Number.isInteger(sessionLimit) && sessionLimit > 0 && sessionLimit <= MAX_SESSION_LIMIT)) {
+        return res.status(400).json({ error: `sessionLimit must be an integer from 1 to ${MAX_SESSION_LIMIT}` });
       }
 
-      res.status(500).json({ 
-        error: 'Failed to process watch history',
-        details: process.env.NODE_ENV === 'development' ? error.message : undefined
-      });
+      res.json(await analyzeHistoryUpload(req.file, {
+        timeZone: options.timeZone || options.tz || undefined,
+        sessionGapMinutes,
+        topChannels,
+        sessionLimit
+      }));
+    } catch (error) {
+      console.error('Error in handleHistoryInsights:', error);
+      sendError(res, error, 'Failed to analyze watch history');
+    } finally {
+      await removeUpload(req.file);
     }
   }
 }
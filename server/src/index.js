@@ -1,21 +1,24 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const fileUpload = require('express-fileupload'); // Import express-fileupload
 const apiRoutes = require('./routes/api');
+const config = require('./config');
+const { HttpError } = require('./utils/errors');
+const { getResponseCache } = require('./services/cacheService');
 
 const app = express();
 const PORT = process.env.PORT || 3002;
 const HOST = '127.0.0.1'; // Explicitly bind to localhost
 
+app.set('trust proxy', config.trustProxy);
+
 // CORS configuration
 app.use(cors());
 
 // Middleware for parsing JSON bodies
 app.use(express.json({ limit: '10mb' }));
 
-// Middleware for file uploads
-app.use(fileUpload()); // Add this line to enable file upload handling
+// File uploads are handled per-route by multer (see routes/api.js)
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -28,7 +31,9 @@ app.get('/health', (req, res) => {
   res.json({ 
     status: 'ok', 
     timestamp: new Date().toISOString(),
-    apiKey: !!process.env.YOUTUBE_API_KEY
+    provider: config.videoProvider,
+    apiKey: !!process.env.YOUTUBE_API_KEY,
+    cache: getResponseCache().getStats()
   });
 });
 
@@ -38,6 +43,13 @@ app.use('/api', apiRoutes);
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error('Error:', err);
+
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({
+      error: err.message,
+      details: err.details
+    });
+  }
   
   // Handle YouTube API specific errors
   if (err.code === 403) {
@@ -70,6 +82,7 @@ app.use((err, req, res, next) => {
 // Start server with explicit host binding
 const server = app.listen(PORT, HOST, () => {
   console.log(`Server running at http://${HOST}:${PORT}`);
+  console.log(`Video provider: ${config.videoProvider}`);
   console.log(`API Key configured: ${process.env.YOUTUBE_API_KEY ? 'Yes' : 'No'}`);
 });
 
@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const path = require('path');
+const config = require('../config');
+const JsonFileStore = require('../utils/jsonFileStore');
+const { isSignedCursor } = require('../utils/cursor');
+
+// Fixed-window counters kept in process memory
+class MemoryStore {
+  constructor() {
+    this.counters = new Map();
+  }
+
+  get(key) {
+    const counter = this.counters.get(key);
+    if (!counter || counter.resetAt <= Date.now()) return null;
+    return counter;
+  }
+
+  increment(key, resetAt) {
+    const counter = this.get(key) || { count: 0, resetAt };
+    counter.count++;
+    this.counters.set(key, counter);
+
+    if (this.counters.size > 10000) this.prune();
+    return counter;
+  }
+
+  decrement(key) {
+    const counter = this.get(key);
+    if (counter && counter.count > 0) counter.count--;
+  }
+
+  prune() {
+    const now = Date.now();
+    this.counters.forEach((counter, key) => {
+      if (counter.resetAt <= now) this.counters.delete(key);
+    });
+  }
+}
+
+// Same counters persisted to disk, so limits survive restarts
+class FileStore {
+  constructor(filePath) {
+    this.store = new JsonFileStore(filePath, {});
+    this.counters = this.store.read();
+  }
+
+  get(key) {
+    const counter = this.counters[key];
+    if (!counter || counter.resetAt <= Date.now()) return null;
+    return counter;
+  }
+
+  increment(key, resetAt) {
+    const counter = this.get(key) || { count: 0, resetAt };
+    counter.count++;
+    this.counters[key] = counter;
+
+    const now = Date.now();
+    Object.keys(this.counters).forEach(existing => {
+      if (this.counters[existing].resetAt <= now) delete this.counters[existing];
+    });
+    this.store.write(this.counters);
+    return counter;
+  }
+
+  decrement(key) {
+    const counter = this.get(key);
+    if (!counter || counter.count === 0) return;
+    counter.count--;
+    this.store.write(this.counters);
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex').slice(0, 32);
+
+// Clients are identified by API token when they send one of the configured
+// tokens, otherwise by IP: a made-up token must not buy a fresh allowance.
+// Tokens are hashed so they never end up in the store.
+const getClientKey = (req, apiTokens = config.rateLimit.apiTokens) => {
+  const auth = req.get('authorization') || '';
+  const token = auth.startsWith('Bearer ') ? auth.slice(7).trim() : req.get('x-api-key');
+
+  if (token && apiTokens.length > 0) {
+    const hash = hashToken(token);
+    if (apiTokens.some(allowed => hashToken(allowed) === hash)) return `token:${hash}`;
+  }
+  return `ip:${req.ip}`;
+};
+
+// Windows are aligned to the epoch, so the daily window resets at midnight UTC
+const getWindowReset = (windowSeconds, now = Date.now()) => {
+  const windowMs = windowSeconds * 1000;
+  return Math.floor(now / windowMs) * windowMs + windowMs;
+};
+
+const createRateLimiter = ({ name, windows, store, keyGenerator = getClientKey }) => {
+  const policy = windows.map(window => `${window.limit};w=${window.windowSeconds}`).join(', ');
+
+  return (req, res, next) => {
+    const clientKey = keyGenerator(req);
+    const now = Date.now();
+
+    const states = windows
+      .filter(window => !(window.skip && window.skip(req)))
+      .map(window => {
+        const key = `${name}:${window.name}:${clientKey}`;
+        const counter = store.get(key);
+        return {
+          window,
+          key,
+          count: counter ? counter.count : 0,
+          resetAt: counter ? counter.resetAt : getWindowReset(window.windowSeconds, now)
+        };
+      });
+
+    const blocked = states.find(state => state.count >= state.window.limit);
+    if (!blocked) {
+      states.forEach(state => {
+        state.count = store.increment(state.key, state.resetAt).count;
+      });
+
+      // Windows that only count successful requests give the slot back when
+      // the request fails. Work that outlives the response (background jobs)
+      // can give it back later through res.locals.refundRateLimit.
+      const refundable = states.filter(state => state.window.successOnly);
+      if (refundable.length > 0) {
+        let refunded = false;
+        res.locals.refundRateLimit = () => {
+          if (refunded) return;
+          refunded = true;
+          refundable.forEach(state => {
+            // A window that has since reset owes nothing back
+            const counter = store.get(state.key);
+            if (counter && counter.resetAt === state.resetAt) store.decrement(state.key);
+          });
+        };
+        res.on('finish', () => {
+          if (res.statusCode >= 400) res.locals.refundRateLimit();
+        });
+      }
+    }
+
+    // Advertise the window closest to running out
+    const tightest = blocked || states.reduce((tight, state) => {
+      if (!tight) return state;
+      const remaining = state.window.limit - state.count;
+      return remaining < tight.window.limit - tight.count ? state : tight;
+    }, null);
+
+    if (tightest) {
+      const resetSeconds = Math.max(0, Math.ceil((tightest.resetAt - now) / 1000));
+      res.set({
+        'RateLimit-Policy': policy,
+        'RateLimit-Limit': String(tightest.window.limit),
+        'RateLimit-Remaining': String(Math.max(0, tightest.window.limit - tightest.count)),
+        'RateLimit-Reset': String(resetSeconds)
+      });
+
+      if (blocked) {
+        res.set('Retry-After', String(resetSeconds));
+        return res.status(429).json({
+          error: blocked.window.message,
+          retryAfter: resetSeconds
+        });
+      }
+    }
+
+    next();
+  };
+};
+
+const createStore = () => {
+  if (config.rateLimit.store === 'file') {
+    return new FileStore(path.join(config.dataDir, 'rate-limits.json'));
+  }
+  return new MemoryStore();
+};
+
+let recommendationStore = null;
+const recommendationLimiters = {};
+
+// Recommendation runs share one set of counters. The daily window only counts
+// runs that succeed; a continuation skips it entirely, since fetching more
+// pages of a run is not a new run.
+const getRecommendationLimiter = (kind, skipDaily) => {
+  if (!recommendationLimiters[kind]) {
+    const { burst, daily } = config.rateLimit;
+    if (!recommendationStore) recommendationStore = createStore();
+
+    recommendationLimiters[kind] = createRateLimiter({
+      name: 'recommendations',
+      store: recommendationStore,
+      windows: [
+        {
+          name: 'burst',
+          ...burst,
+          message: 'Too many requests. Please slow down and try again shortly.'
+        },
+        {
+          name: 'daily',
+          ...daily,
+          skip: skipDaily,
+          successOnly: true,
+          message: 'Daily limit reached. Your fixes reset at midnight UTC.'
+        }
+      ]
+    });
+  }
+  return recommendationLimiters[kind];
+};
+
+// Shared limiter for recommendation runs (URL input and history uploads)
+const limitRecommendationRuns = (req, res, next) => {
+  if (!config.rateLimit.enabled) return next();
+  return getRecommendationLimiter('runs')(req, res, next);
+};
+
+// Same limits for POST /recommendations, except that a request carrying a
+// page token this server issued continues an earlier run. Tokens are signed,
+// so they cannot be made up to get round the daily limit.
+const limitRecommendationPages = (req, res, next) => {
+  if (!config.rateLimit.enabled) return next();
+  return getRecommendationLimiter('pages', req => isSignedCursor(req.query.pageToken))(req, res, next);
+};
+
+module.exports = {
+  MemoryStore,
+  FileStore,
+  getClientKey,
+  createRateLimiter,
+  limitRecommendationRuns,
+  limitRecommendationPages
+};
@@ -0,0 +1,50 @@
+const fs = require('fs');
+const multer = require('multer');
+const config = require('../config');
+const { HttpError } = require('../utils/errors');
+
+fs.mkdirSync(config.upload.tempDir, { recursive: true });
+
+// Uploads go straight to a temp file instead of memory, so even very large
+// Takeout exports never sit in the heap as one buffer
+const upload = multer({
+  storage: multer.diskStorage({ destination: config.upload.tempDir }),
+  limits: {
+    fileSize: config.upload.maxBytes,
+    files: 1
+  }
+});
+
+const toHttpError = (error) => {
+  if (error.code === 'LIMIT_FILE_SIZE') {
+    const limitMb = Math.round(config.upload.maxBytes / (1024 * 1024));
+    return new HttpError(413, `File too large. Uploads are limited to ${limitMb} MB.`);
+  }
+  return new HttpError(400, `Upload failed: ${error.message}`);
+};
+
+// Accept a single watch-history file in the "history" field
+const uploadHistory = (req, res, next) => {
+  upload.single('history')(req, res, (error) => {
+    if (error) {
+      return next(error instanceof multer.MulterError ? toHttpError(error) : error);
+    }
+    next();
+  });
+};
+
+const removeUpload = async (file) => {
+  if (!file || !file.path) return;
+  try {
+    await fs.promises.unlink(file.path);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Failed to remove uploaded file:', error.message);
+    }
+  }
+};
+
+module.exports = {
+  uploadHistory,
+  removeUpload
+};
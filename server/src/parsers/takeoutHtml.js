@@ -0,0 +1,156 @@
+// Parser for the default HTML export of Google Takeout watch history
+// (watch-history.html). Each activity is an "outer-cell" block:
+//
+//   <div class="outer-cell ...">
+//     <div class="header-cell ..."><p class="mdl-typography--title">YouTube<br></p></div>
+//     <div class="content-cell ... mdl-typography--body-1">
+//       Watched&nbsp;<a href="https://www.youtube.com/watch?v=...">Title</a><br>
+//       <a href="https://www.youtube.com/channel/...">Channel</a><br>
+//       Jan 5, 2024, 9:14:03 PM PST<br>
+//     </div>
+//     <div class="content-cell ... mdl-typography--caption">
+//       <b>Products:</b><br>&emsp;YouTube<br><b>Details:</b><br>&emsp;From Google Ads<br>
+//     </div>
+//   </div>
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  emsp: ' ',
+  ensp: ' ',
+  thinsp: ' '
+};
+
+const decodeEntities = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+
+const toText = (html) =>
+  decodeEntities(html.replace(/<[^>]*>/g, ''))
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// UTC offsets (in minutes) for the zone abbreviations Takeout prints
+const ZONE_OFFSETS = {
+  UTC: 0, GMT: 0, WET: 0, BST: 60, IST: 330, CET: 60, CEST: 120, EET: 120, EEST: 180,
+  MSK: 180, JST: 540, KST: 540, AEST: 600, AEDT: 660, NZST: 720, NZDT: 780,
+  HST: -600, AKST: -540, AKDT: -480, PST: -480, PDT: -420, MST: -420, MDT: -360,
+  CST: -360, CDT: -300, EST: -300, EDT: -240, AST: -240, ADT: -180
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// "Jan 5, 2024, 9:14:03 PM PST" -> ISO 8601. Falls back to Date.parse for
+// other layouts and returns null when the time cannot be understood.
+const parseTakeoutTime = (text) => {
+  const normalized = text.replace(/\s+/g, ' ').trim();
+  const match = normalized.match(
+    /^([A-Za-z]{3})[a-z]* (\d{1,2}), (\d{4}),? (\d{1,2}):(\d{2}):(\d{2}) ?(AM|PM)? ?([A-Z]{2,5}|GMT[+-]\d{1,2}(?::?\d{2})?)?$/
+  );
+
+  if (match) {
+    const [, monthName, day, year, hour, minute, second, meridiem, zone] = match;
+    const month = MONTHS.indexOf(monthName.toLowerCase());
+    let hours = parseInt(hour, 10) % (meridiem ? 12 : 24);
+    if (meridiem === 'PM') hours += 12;
+
+    let offset = 0;
+    if (zone && zone.startsWith('GMT') && zone.length > 3) {
+      const [, sign, offsetHours, offsetMinutes = '0'] = zone.match(/GMT([+-])(\d{1,2}):?(\d{2})?/);
+      offset = (sign === '-' ? -1 : 1) * (parseInt(offsetHours, 10) * 60 + parseInt(offsetMinutes, 10));
+    } else if (zone && ZONE_OFFSETS[zone] !== undefined) {
+      offset = ZONE_OFFSETS[zone];
+    }
+
+    if (month !== -1) {
+      const utc = Date.UTC(year, month, day, hours, minute, second) - offset * 60 * 1000;
+      return new Date(utc).toISOString();
+    }
+  }
+
+  const parsed = Date.parse(normalized);
+  return Number.isNaN(parsed) ? null : new Date(parsed).toISOString();
+};
+
+// Split a caption cell into its labelled sections, e.g. { Products: ['YouTube'] }
+const parseCaption = (html) => {
+  const sections = {};
+  let current = null;
+
+  html.split(/<br\s*\/?>/i).forEach(part => {
+    const label = part.match(/<b>(.*?):?<\/b>/i);
+    if (label) {
+      current = toText(label[1]).replace(/:$/, '');
+      sections[current] = [];
+      return;
+    }
+    const text = toText(part);
+    if (current && text) sections[current].push(text);
+  });
+
+  return sections;
+};
+
+const parseOuterCell = (cell) => {
+  const header = cell.match(/<p class="mdl-typography--title">([\s\S]*?)<\/p>/);
+  const content = cell.match(
+    /<div class="content-cell[^"]*mdl-typography--body-1(?![^"]*text-right)[^"]*">([\s\S]*?)<\/div>/
+  );
+  if (!content) return null;
+
+  const lines = content[1].split(/<br\s*\/?>/i);
+  const links = lines.map(line => {
+    const anchor = line.match(/<a href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/);
+    return anchor ? { name: toText(anchor[2]), url: decodeEntities(anchor[1]) } : null;
+  });
+
+  const timeText = lines.map(toText).filter(Boolean).pop() || '';
+  const caption = cell.match(/<div class="content-cell[^"]*mdl-typography--caption[^"]*">([\s\S]*?)<\/div>/);
+  const sections = caption ? parseCaption(caption[1]) : {};
+
+  const entry = {
+    header: header ? toText(header[1]) : 'YouTube',
+    title: toText(lines[0] || ''),
+    time: parseTakeoutTime(timeText),
+    products: sections.Products || []
+  };
+
+  if (links[0]) {
+    entry.titleUrl = links[0].url;
+  }
+
+  const subtitles = links.slice(1).filter(Boolean);
+  if (subtitles.length > 0) {
+    entry.subtitles = subtitles;
+  }
+
+  if (sections.Details) {
+    entry.details = sections.Details.map(name => ({ name }));
+  }
+
+  return entry;
+};
+
+const parseTakeoutHtml = (html) =>
+  html
+    .split(/<div class="outer-cell/)
+    .slice(1)
+    .map(parseOuterCell)
+    .filter(Boolean);
+
+module.exports = {
+  parseTakeoutHtml,
+  parseOuterCell,
+  parseTakeoutTime
+};
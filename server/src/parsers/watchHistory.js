@@ -0,0 +1,242 @@
+const fs = require('fs');
+const yauzl = require('yauzl');
+const StreamArray = require('stream-json/streamers/StreamArray');
+const { parseOuterCell } = require('./takeoutHtml');
+const { HttpError, ValidationError } = require('../utils/errors');
+
+const HISTORY_FILE_PATTERN = /(^|\/)watch-history\.(json|html)$/i;
+const OUTER_CELL = '<div class="outer-cell';
+// A single HTML activity block is a few KB; anything far larger is not Takeout
+const MAX_HTML_CELL_LENGTH = 1024 * 1024;
+// Report parsing progress every this many entries
+const PROGRESS_INTERVAL = 1000;
+
+// Work out what was uploaded from its content rather than its name
+const detectHistoryFormat = (buffer) => {
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) {
+    return 'zip';
+  }
+
+  const head = buffer.subarray(0, 1024).toString('utf8').replace(/^\uFEFF/, '').trimStart();
+  if (head.startsWith('[') || head.startsWith('{')) {
+    return 'json';
+  }
+  if (/^<(!doctype html|html|head|body|div|meta)/i.test(head) || head.includes('outer-cell')) {
+    return 'html';
+  }
+
+  return null;
+};
+
+const readFileHead = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(1024), 0, 1024, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+// Yield the items of a top-level JSON array one at a time
+async function* streamJsonEntries(source) {
+  const items = source.pipe(StreamArray.withParser());
+  source.on('error', error => items.destroy(error));
+
+  try {
+    for await (const { value } of items) {
+      yield value;
+    }
+  } catch (error) {
+    if (/top-level object should be an array/i.test(error.message)) {
+      throw new ValidationError(
+        'Invalid watch history format. The file should contain an array of watch history entries.'
+      );
+    }
+    throw new ValidationError(
+      'Invalid JSON file format. Please upload a valid Google Takeout watch-history.json file.'
+    );
+  } finally {
+    source.destroy();
+  }
+}
+
+// Yield Takeout HTML activity blocks as they arrive, holding at most one
+// incomplete block in memory
+async function* streamHtmlEntries(source) {
+  source.setEncoding('utf8');
+  let pending = '';
+
+  try {
+    for await (const chunk of source) {
+      pending += chunk;
+
+      let start = pending.indexOf(OUTER_CELL);
+      if (start === -1) {
+        // Keep only enough of the tail to catch a marker split across chunks
+        pending = pending.slice(-OUTER_CELL.length);
+        continue;
+      }
+
+      let next = pending.indexOf(OUTER_CELL, start + OUTER_CELL.length);
+      while (next !== -1) {
+        const entry = parseOuterCell(pending.slice(start, next));
+        if (entry) yield entry;
+        start = next;
+        next = pending.indexOf(OUTER_CELL, start + OUTER_CELL.length);
+      }
+
+      pending = pending.slice(start);
+      if (pending.length > MAX_HTML_CELL_LENGTH) {
+        throw new ValidationError('Unrecognized HTML file. Please upload watch-history.html from Google Takeout.');
+      }
+    }
+
+    if (pending.startsWith(OUTER_CELL)) {
+      const entry = parseOuterCell(pending);
+      if (entry) yield entry;
+    }
+  } finally {
+    source.destroy();
+  }
+}
+
+const streamEntries = (format, source) =>
+  format === 'json' ? streamJsonEntries(source) : streamHtmlEntries(source);
+
+// Find the watch history inside a Takeout archive and open it as a stream,
+// reading straight out of the zip without extracting it to disk
+const openZipHistory = async (filePath, { maxBytes }) => {
+  let zipfile;
+  try {
+    zipfile = await yauzl.openPromise(filePath, { autoClose: false });
+  } catch (error) {
+    throw new ValidationError('Could not read the uploaded zip archive.');
+  }
+
+  try {
+    let historyEntry = null;
+    for await (const entry of zipfile.eachEntry()) {
+      if (HISTORY_FILE_PATTERN.test(entry.fileName)) {
+        historyEntry = entry;
+        break;
+      }
+    }
+
+    if (!historyEntry) {
+      throw new ValidationError(
+        'No watch-history.json or watch-history.html found in the uploaded Takeout archive.'
+      );
+    }
+
+    if (historyEntry.uncompressedSize > maxBytes) {
+      throw new HttpError(413, `The watch history inside the archive is larger than the ${formatBytes(maxBytes)} limit.`);
+    }
+
+    return {
+      zipfile,
+      archiveEntry: historyEntry.fileName,
+      format: /\.json$/i.test(historyEntry.fileName) ? 'json' : 'html',
+      stream: await zipfile.openReadStreamPromise(historyEntry)
+    };
+  } catch (error) {
+    zipfile.close();
+    throw error;
+  }
+};
+
+const isVideoUrl = (url) =>
+  /^https?:\/\/(www\.|m\.|music\.)?youtube\.com\/watch\?/.test(url) ||
+  /^https?:\/\/youtu\.be\//.test(url);
+
+// Sort raw Takeout activity into watched videos and the kinds we skip:
+// ads, videos that have since been removed, and non-video activity
+// (searches, visits, surveys, community posts...)
+const classifyEntry = (entry) => {
+  if (!entry || typeof entry !== 'object') return 'invalid';
+
+  const details = Array.isArray(entry.details) ? entry.details : [];
+  if (details.some(detail => /google ads/i.test(detail && detail.name))) {
+    return 'ads';
+  }
+
+  if (typeof entry.titleUrl !== 'string' || !entry.titleUrl) {
+    return /^watched\b/i.test(entry.title || '') ? 'removed' : 'nonVideo';
+  }
+
+  if (!isVideoUrl(entry.titleUrl)) return 'nonVideo';
+  if (typeof entry.time !== 'string' || !entry.time) return 'invalid';
+
+  return 'video';
+};
+
+const toHistoryEntry = (entry) => ({
+  header: entry.header || 'YouTube',
+  title: entry.title,
+  titleUrl: entry.titleUrl,
+  subtitles: Array.isArray(entry.subtitles)
+    ? entry.subtitles.map(({ name, url }) => ({ name, url }))
+    : [],
+  time: entry.time
+});
+
+const formatBytes = (bytes) => `${Math.round(bytes / (1024 * 1024))} MB`;
+
+// Parse an uploaded watch history in any supported shape: Takeout JSON,
+// Takeout HTML, or a Takeout .zip containing either. The file is read as a
+// stream and entries are validated as they go past, so only the compact
+// video entries are ever held in memory. Aborting the signal stops the read.
+const parseWatchHistory = async (filePath, { maxEntries, maxBytes, onProgress, signal }) => {
+  signal?.throwIfAborted();
+  const format = detectHistoryFormat(await readFileHead(filePath));
+  const stats = { totalEntries: 0, ads: 0, removedVideos: 0, nonVideo: 0, invalid: 0 };
+  const entries = [];
+
+  let zip = null;
+  let source;
+  if (format === 'zip') {
+    zip = await openZipHistory(filePath, { maxBytes });
+    source = streamEntries(zip.format, zip.stream);
+  } else if (format === 'json' || format === 'html') {
+    source = streamEntries(format, fs.createReadStream(filePath));
+  } else {
+    throw new ValidationError(
+      'Unrecognized file. Please upload watch-history.json, watch-history.html or a Google Takeout .zip archive.'
+    );
+  }
+
+  try {
+    for await (const raw of source) {
+      signal?.throwIfAborted();
+      stats.totalEntries++;
+      if (stats.totalEntries > maxEntries) {
+        throw new HttpError(413, `Watch history has more than ${maxEntries} entries. Please upload a shorter history.`);
+      }
+      if (onProgress && stats.totalEntries % PROGRESS_INTERVAL === 0) {
+        onProgress(stats.totalEntries);
+      }
+
+      const kind = classifyEntry(raw);
+      if (kind === 'video') entries.push(toHistoryEntry(raw));
+      else if (kind === 'ads') stats.ads++;
+      else if (kind === 'removed') stats.removedVideos++;
+      else if (kind === 'nonVideo') stats.nonVideo++;
+      else stats.invalid++;
+    }
+  } finally {
+    if (zip) zip.zipfile.close();
+  }
+
+  return {
+    entries,
+    stats,
+    format: zip ? `zip/${zip.format}` : format,
+    archiveEntry: zip ? zip.archiveEntry : null
+  };
+};
+
+module.exports = {
+  detectHistoryFormat,
+  classifyEntry,
+  parseWatchHistory
+};
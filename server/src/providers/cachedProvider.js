@@ -0,0 +1,51 @@
+// Cache key for a flat parameter object, independent of property order
+const stableKey = (value = {}) =>
+  JSON.stringify(Object.keys(value).sort().map(key => [key, value[key]]));
+
+// Wrap a provider with the response cache. Video details are cached per ID so
+// overlapping batches still hit; everything else is cached per parameter set.
+const withCache = (provider, cache) => ({
+  name: provider.name,
+
+  async getVideos(ids, options = {}) {
+    const parts = options.parts || 'default';
+    const videos = await cache.wrapBatch(
+      'videos',
+      ids,
+      id => `videos:${parts}:${id}`,
+      async (missing) => {
+        const found = await provider.getVideos(missing, options);
+        return new Map(found.map(video => [video.id, video]));
+      }
+    );
+    return videos.filter(Boolean);
+  },
+
+  searchVideos(params) {
+    return cache.wrap('search', `search:${stableKey(params)}`, () =>
+      provider.searchVideos(params)
+    );
+  },
+
+  getChannels(criteria = {}) {
+    return cache.wrap('channels', `channels:${stableKey(criteria)}`, () =>
+      provider.getChannels(criteria)
+    );
+  },
+
+  getPlaylists(ids) {
+    return cache.wrap('playlists', `playlists:${ids.join(',')}`, () =>
+      provider.getPlaylists(ids)
+    );
+  },
+
+  getPlaylistItems(playlistId, options = {}) {
+    return cache.wrap('playlistItems', `playlistItems:${playlistId}:${stableKey(options)}`, () =>
+      provider.getPlaylistItems(playlistId, options)
+    );
+  }
+});
+
+module.exports = {
+  withCache
+};
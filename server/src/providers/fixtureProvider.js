@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+
+const PAGE_TOKEN_PREFIX = 'fixture:';
+
+// Video-data provider that answers from JSON fixtures on disk, so the whole
+// pipeline can run without network access or an API key.
+//
+// Expected files in the fixtures directory (all optional):
+//   videos.json         array of youtube#video resources
+//   channels.json       array of youtube#channel resources
+//   playlists.json      array of youtube#playlist resources
+//   playlistItems.json  { [playlistId]: [videoId, ...] }
+//   related.json        { [videoId]: [videoId, ...] }
+class FixtureProvider {
+  constructor({ fixturesDir }) {
+    this.name = 'fixture';
+    this.fixturesDir = fixturesDir;
+    this.files = new Map();
+  }
+
+  load(name, fallback) {
+    if (!this.files.has(name)) {
+      const filePath = path.join(this.fixturesDir, name);
+      const data = fs.existsSync(filePath)
+        ? JSON.parse(fs.readFileSync(filePath, 'utf8'))
+        : fallback;
+      this.files.set(name, data);
+    }
+    return this.files.get(name);
+  }
+
+  videoIndex() {
+    if (!this.files.has('videos:index')) {
+      const videos = this.load('videos.json', []);
+      this.files.set('videos:index', new Map(videos.map(video => [video.id, video])));
+    }
+    return this.files.get('videos:index');
+  }
+
+  async getVideos(ids) {
+    const index = this.videoIndex();
+    return ids.map(id => index.get(id)).filter(Boolean);
+  }
+
+  async searchVideos({ relatedToVideoId, q, pageToken, maxResults = 50, publishedAfter }) {
+    let videos;
+    if (relatedToVideoId) {
+      const related = this.load('related.json', {});
+      videos = await this.getVideos(related[relatedToVideoId] || []);
+    } else if (q) {
+      videos = matchQuery(this.load('videos.json', []), q);
+    } else {
+      videos = [];
+    }
+
+    if (publishedAfter) {
+      const after = new Date(publishedAfter).getTime();
+      videos = videos.filter(video => new Date(video.snippet.publishedAt).getTime() >= after);
+    }
+
+    const { items, nextPageToken } = paginate(videos, pageToken, maxResults);
+    return {
+      items: items.map(toSearchResult),
+      nextPageToken
+    };
+  }
+
+  async getChannels({ ids, handle, username } = {}) {
+    const channels = this.load('channels.json', []);
+    if (ids) {
+      return channels.filter(channel => ids.includes(channel.id));
+    }
+
+    const name = handle || username;
+    if (!name) return [];
+    const normalized = `@${name.replace(/^@/, '').toLowerCase()}`;
+    return channels.filter(channel =>
+      (channel.snippet.customUrl || '').toLowerCase() === normalized
+    );
+  }
+
+  async getPlaylists(ids) {
+    const playlists = this.load('playlists.json', []);
+    return playlists.filter(playlist => ids.includes(playlist.id));
+  }
+
+  async getPlaylistItems(playlistId, { pageToken, maxResults = 50 } = {}) {
+    const playlistItems = this.load('playlistItems.json', {});
+    const videos = await this.getVideos(playlistItems[playlistId] || []);
+    const { items, nextPageToken } = paginate(videos, pageToken, maxResults);
+
+    return {
+      items: items.map((video, index) => ({
+        kind: 'youtube#playlistItem',
+        id: `${playlistId}.${video.id}`,
+        snippet: {
+          ...video.snippet,
+          playlistId,
+          position: index,
+          resourceId: { kind: 'youtube#video', videoId: video.id }
+        },
+        contentDetails: {
+          videoId: video.id,
+          videoPublishedAt: video.snippet.publishedAt
+        }
+      })),
+      nextPageToken
+    };
+  }
+}
+
+const paginate = (list, pageToken, maxResults) => {
+  const offset = pageToken && pageToken.startsWith(PAGE_TOKEN_PREFIX)
+    ? parseInt(pageToken.slice(PAGE_TOKEN_PREFIX.length), 10) || 0
+    : 0;
+  const end = offset + maxResults;
+
+  return {
+    items: list.slice(offset, end),
+    nextPageToken: end < list.length ? `${PAGE_TOKEN_PREFIX}${end}` : null
+  };
+};
+
+// Rough stand-in for search relevance: rank videos by how many query terms
+// appear in their title, tags and description
+const matchQuery = (videos, q) => {
+  const terms = q.toLowerCase()
+    .replace(/[^\w\s|]/g, ' ')
+    .split(/[\s|]+/)
+    .filter(Boolean);
+
+  return videos
+    .map(video => {
+      const text = `${video.snippet.title} ${(video.snippet.tags || []).join(' ')} ${video.snippet.description}`.toLowerCase();
+      const hits = terms.filter(term => text.includes(term)).length;
+      return { video, hits };
+    })
+    .filter(({ hits }) => hits > 0)
+    .sort((a, b) => b.hits - a.hits)
+    .map(({ video }) => video);
+};
+
+const toSearchResult = (video) => ({
+  kind: 'youtube#searchResult',
+  id: { kind: 'youtube#video', videoId: video.id },
+  snippet: {
+    publishedAt: video.snippet.publishedAt,
+    channelId: video.snippet.channelId,
+    title: video.snippet.title,
+    description: video.snippet.description,
+    thumbnails: video.snippet.thumbnails,
+    channelTitle: video.snippet.channelTitle,
+    liveBroadcastContent: video.snippet.liveBroadcastContent
+  }
+});
+
+module.exports = FixtureProvider;
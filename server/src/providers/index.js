@@ -0,0 +1,48 @@
+const config = require('../config');
+const YouTubeProvider = require('./youtubeProvider');
+const FixtureProvider = require('./fixtureProvider');
+const { withQuota } = require('./quotaProvider');
+const { withCache } = require('./cachedProvider');
+const { getQuotaLedger } = require('../services/quotaService');
+const { getResponseCache } = require('../services/cacheService');
+
+// Every provider implements the same interface:
+//   getVideos(ids, { parts })                  -> youtube#video[]
+//   searchVideos(params)                       -> { items: youtube#searchResult[], nextPageToken }
+//   getChannels({ ids } | { handle } | { username }) -> youtube#channel[]
+//   getPlaylists(ids)                          -> youtube#playlist[]
+//   getPlaylistItems(playlistId, { pageToken, maxResults })
+//                                              -> { items: youtube#playlistItem[], nextPageToken }
+const providers = {
+  youtube: () => new YouTubeProvider({ apiKey: config.youtubeApiKey }),
+  fixture: () => new FixtureProvider({ fixturesDir: config.fixturesDir })
+};
+
+let provider = null;
+
+const createProvider = (name = config.videoProvider) => {
+  const factory = providers[name];
+  if (!factory) {
+    throw new Error(`Unknown video provider "${name}". Expected one of: ${Object.keys(providers).join(', ')}`);
+  }
+  return factory();
+};
+
+const getProvider = () => {
+  if (!provider) {
+    // Only the Data API spends quota; offline fixture runs must not eat into
+    // the real daily budget. Cache outermost so cache hits never spend quota.
+    const source = createProvider();
+    provider = withCache(
+      config.videoProvider === 'youtube' ? withQuota(source, getQuotaLedger()) : source,
+      getResponseCache()
+    );
+    console.log(`Using ${provider.name} video provider`);
+  }
+  return provider;
+};
+
+module.exports = {
+  createProvider,
+  getProvider
+};
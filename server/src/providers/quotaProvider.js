@@ -0,0 +1,31 @@
+// Provider method -> YouTube Data API endpoint it calls
+const ENDPOINTS = {
+  getVideos: 'videos.list',
+  searchVideos: 'search.list',
+  getChannels: 'channels.list',
+  getPlaylists: 'playlists.list',
+  getPlaylistItems: 'playlistItems.list'
+};
+
+// Wrap a provider so every call is charged to the quota ledger. Calls are
+// charged before they are made because YouTube bills failed requests too.
+const withQuota = (provider, ledger) => {
+  const wrapped = { name: provider.name };
+
+  Object.entries(ENDPOINTS).forEach(([method, endpoint]) => {
+    wrapped[method] = (...args) => {
+      const [ids] = args;
+      if (!(Array.isArray(ids) && ids.length === 0)) {
+        ledger.charge(endpoint);
+      }
+      return provider[method](...args);
+    };
+  });
+
+  return wrapped;
+};
+
+module.exports = {
+  ENDPOINTS,
+  withQuota
+};
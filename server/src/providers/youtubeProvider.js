@@ -0,0 +1,79 @@
+const { createYouTubeClient } = require('../config/youtube');
+
+// status carries madeForKids and topicDetails the video's topics; extra parts
+// cost no extra quota
+const DEFAULT_VIDEO_PARTS = 'snippet,contentDetails,statistics,status,topicDetails';
+
+// Video-data provider backed by the YouTube Data API v3
+class YouTubeProvider {
+  constructor({ apiKey }) {
+    this.name = 'youtube';
+    this.youtube = createYouTubeClient(apiKey);
+  }
+
+  async getVideos(ids, { parts = DEFAULT_VIDEO_PARTS } = {}) {
+    if (ids.length === 0) return [];
+
+    const response = await this.youtube.videos.list({
+      part: parts,
+      id: ids.join(','),
+      maxResults: ids.length
+    });
+
+    return response.data.items || [];
+  }
+
+  async searchVideos(params) {
+    const response = await this.youtube.search.list({
+      part: 'snippet',
+      type: 'video',
+      ...params
+    });
+
+    return {
+      items: response.data.items || [],
+      nextPageToken: response.data.nextPageToken || null
+    };
+  }
+
+  async getChannels({ ids, handle, username } = {}) {
+    const params = { part: 'snippet,contentDetails,statistics' };
+    if (ids) params.id = ids.join(',');
+    else if (handle) params.forHandle = handle;
+    else if (username) params.forUsername = username;
+    else return [];
+
+    const response = await this.youtube.channels.list(params);
+    return response.data.items || [];
+  }
+
+  async getPlaylists(ids) {
+    if (ids.length === 0) return [];
+
+    const response = await this.youtube.playlists.list({
+      part: 'snippet,contentDetails',
+      id: ids.join(','),
+      maxResults: ids.length
+    });
+
+    return response.data.items || [];
+  }
+
+  async getPlaylistItems(playlistId, { pageToken, maxResults = 50 } = {}) {
+    const params = {
+      part: 'snippet,contentDetails',
+      playlistId,
+      maxResults
+    };
+    if (pageToken) params.pageToken = pageToken;
+
+    const response = await this.youtube.playlistItems.list(params);
+
+    return {
+      items: response.data.items || [],
+      nextPageToken: response.data.nextPageToken || null
+    };
+  }
+}
+
+module.exports = YouTubeProvider;
@@ -1,9 +1,16 @@
 const express = require('express');
-const multer = require('multer');
 const YouTubeController = require('../controllers/youtubeController');
+const JobController = require('../controllers/jobController');
+const FeedbackController = require('../controllers/feedbackController');
+const ProfileController = require('../controllers/profileController');
+const RunController = require('../controllers/runController');
+const AuthController = require('../controllers/authController');
+const { getProvider } = require('../providers');
+const { getQuotaLedger } = require('../services/quotaService');
+const { limitRecommendationRuns, limitRecommendationPages } = require('../middleware/rateLimiter');
+const { uploadHistory } = require('../middleware/upload');
 
 const router = express.Router();
-const upload = multer({ storage: multer.memoryStorage() });
 
 // Add logging middleware
 router.use((req, res, next) => {
@@ -17,7 +24,7 @@ router.use((req, res, next) => {
 });
 
 // Handle URL input
-router.post('/recommendations', express.json(), async (req, res) => {
+router.post('/recommendations', limitRecommendationPages, express.json(), async (req, res) => {
   console.log('Received request body:', req.body);
   
   if (!req.body || !req.body.urls || !Array.isArray(req.body.urls)) {
@@ -29,17 +36,56 @@ router.post('/recommendations', express.json(), async (req, res) => {
   return YouTubeController.handleUrlInput(req, res);
 });
 
+// Recommend similar channels instead of videos
+router.post('/recommendations/channels', limitRecommendationRuns, express.json(), YouTubeController.handleChannelRecommendations);
+
 // Handle file upload
-router.post('/upload', upload.single('history'), YouTubeController.handleFileUpload);
+router.post('/upload', limitRecommendationRuns, uploadHistory, YouTubeController.handleFileUpload);
+
+// Summarize viewing habits from an uploaded history (no API quota used)
+router.post('/history/insights', uploadHistory, YouTubeController.handleHistoryInsights);
+
+// Background upload jobs: status/result, SSE progress stream, cancellation
+router.get('/jobs/:id', JobController.getJob);
+router.get('/jobs/:id/events', JobController.streamJobEvents);
+router.delete('/jobs/:id', JobController.cancelJob);
+
+// Per-profile thumbs up/down that later runs for the profile take into account
+router.post('/feedback/items', express.json(), FeedbackController.recordItems);
+router.get('/feedback', FeedbackController.getProfileFeedback);
+
+// Saved profiles: named seeds, options and feedback that can be run again
+router.get('/profiles', ProfileController.listProfiles);
+router.post('/profiles', express.json(), ProfileController.createProfile);
+router.get('/profiles/:id', ProfileController.getProfile);
+router.put('/profiles/:id', express.json(), ProfileController.updateProfile);
+router.delete('/profiles/:id', ProfileController.deleteProfile);
+router.post('/profiles/:id/run', limitRecommendationRuns, ProfileController.runProfile);
+
+// History of recommendation runs, and re-running one with the same inputs
+router.get('/runs', RunController.listRuns);
+router.get('/runs/:id', RunController.getRun);
+router.get('/runs/:id/export', RunController.exportRun);
+router.post('/runs/:id/playlist', express.json(), RunController.saveAsPlaylist);
+router.post('/runs/:id/rerun', limitRecommendationRuns, RunController.rerun);
+// Saved video runs double as snapshots of a feed that can be compared
+router.get('/snapshots/:a/diff/:b', RunController.diffSnapshots);
+
+// Google sign-in, needed to write playlists to the user's channel
+router.get('/auth/google', AuthController.startGoogleSignIn);
+router.get('/auth/google/callback', AuthController.completeGoogleSignIn);
+router.delete('/auth/google/session', AuthController.signOut);
+
+// Report today's YouTube API quota spend and what is left
+router.get('/quota', (req, res) => {
+  res.json(getQuotaLedger().getUsage());
+});
 
 // Add this test route
 router.get('/test', async (req, res) => {
   try {
-    const response = await youtube.videos.list({
-      part: ['snippet'],
-      id: ['dQw4w9WgXcQ'] // Test with a known video ID
-    });
-    res.json(response.data);
+    const items = await getProvider().getVideos(['dQw4w9WgXcQ']); // Test with a known video ID
+    res.json({ provider: getProvider().name, items });
   } catch (error) {
     console.error('API Test Error:', error);
     res.status(500).json({ error: error.message });
@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+// In-memory LRU with a TTL per entry. Map keeps insertion order, so the first
+// key is always the least recently used one.
+class LruCache {
+  constructor({ maxEntries = 1000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    this.entries.delete(key);
+    if (entry.expiresAt <= Date.now()) return undefined;
+
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value, ttlMs, expiresAt = Date.now() + ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+// Optional on-disk store so cached responses survive restarts
+class DiskStore {
+  constructor(dir) {
+    this.dir = dir;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  filePath(key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.dir, `${hash}.json`);
+  }
+
+  get(key) {
+    const filePath = this.filePath(key);
+    try {
+      const entry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (entry.key !== key) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        fs.unlinkSync(filePath);
+        return undefined;
+      }
+      return entry;
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  set(key, value, expiresAt) {
+    try {
+      fs.writeFileSync(this.filePath(key), JSON.stringify({ key, expiresAt, value }));
+    } catch (error) {
+      console.error('Failed to write cache entry:', error.message);
+    }
+  }
+}
+
+class ResponseCache {
+  constructor({ maxEntries, ttls, diskDir }) {
+    this.memory = new LruCache({ maxEntries });
+    this.disk = diskDir ? new DiskStore(diskDir) : null;
+    this.ttls = ttls;
+    this.inFlight = new Map();
+    this.stats = { hits: 0, misses: 0, diskHits: 0, sharedInFlight: 0 };
+  }
+
+  lookup(key) {
+    const value = this.memory.get(key);
+    if (value !== undefined) {
+      this.stats.hits++;
+      return value;
+    }
+
+    if (this.disk) {
+      const entry = this.disk.get(key);
+      if (entry) {
+        this.stats.hits++;
+        this.stats.diskHits++;
+        this.memory.set(key, entry.value, 0, entry.expiresAt);
+        return entry.value;
+      }
+    }
+
+    return undefined;
+  }
+
+  store(endpoint, key, value) {
+    const expiresAt = Date.now() + this.ttls[endpoint] * 1000;
+    this.memory.set(key, value, 0, expiresAt);
+    if (this.disk) this.disk.set(key, value, expiresAt);
+  }
+
+  // Return a cached value, join an identical request already in flight, or
+  // run the loader and cache what it returns
+  async wrap(endpoint, key, loader) {
+    const cached = this.lookup(key);
+    if (cached !== undefined) return cached;
+
+    if (this.inFlight.has(key)) {
+      this.stats.sharedInFlight++;
+      return this.inFlight.get(key);
+    }
+
+    this.stats.misses++;
+    const promise = loader()
+      .then(value => {
+        this.store(endpoint, key, value);
+        return value;
+      })
+      .finally(() => this.inFlight.delete(key));
+
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+
+  // Per-ID variant of wrap for batch endpoints: cached IDs are answered
+  // directly and only the rest are handed to the loader, in one call.
+  // The loader resolves to a Map of id -> value; IDs it leaves out are
+  // cached as null so deleted videos are not looked up again.
+  async wrapBatch(endpoint, ids, keyFor, loader) {
+    const pending = new Map();
+    const missing = [];
+
+    ids.forEach(id => {
+      const key = keyFor(id);
+      const cached = this.lookup(key);
+      if (cached !== undefined) {
+        pending.set(id, cached);
+      } else if (this.inFlight.has(key)) {
+        this.stats.sharedInFlight++;
+        pending.set(id, this.inFlight.get(key));
+      } else if (!missing.includes(id)) {
+        this.stats.misses++;
+        missing.push(id);
+      }
+    });
+
+    if (missing.length > 0) {
+      const batch = loader(missing).then(found => {
+        missing.forEach(id => this.store(endpoint, keyFor(id), found.get(id) ?? null));
+        return found;
+      });
+
+      missing.forEach(id => {
+        const key = keyFor(id);
+        const promise = batch
+          .then(found => found.get(id) ?? null)
+          .finally(() => this.inFlight.delete(key));
+        this.inFlight.set(key, promise);
+        pending.set(id, promise);
+      });
+    }
+
+    return Promise.all(ids.map(id => pending.get(id)));
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      hitRate: lookups ? Math.round(this.stats.hits / lookups * 1000) / 1000 : 0,
+      entries: this.memory.size,
+      inFlight: this.inFlight.size,
+      disk: !!this.disk
+    };
+  }
+}
+
+let cache = null;
+
+const getResponseCache = () => {
+  if (!cache) {
+    cache = new ResponseCache({
+      maxEntries: config.cache.maxEntries,
+      ttls: config.cache.ttlSeconds,
+      diskDir: config.cache.disk ? path.join(config.dataDir, 'cache') : null
+    });
+  }
+  return cache;
+};
+
+module.exports = {
+  LruCache,
+  DiskStore,
+  ResponseCache,
+  getResponseCache
+};
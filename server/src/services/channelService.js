@@ -0,0 +1,107 @@
+const config = require('../config');
+const { getProvider } = require('../providers');
+const YouTubeService = require('./youtubeService');
+
+const CHANNELS_BATCH_SIZE = 50; // channels.list accepts at most 50 IDs per call
+// How many of a channel's best candidates count towards its score
+const TOP_VIDEOS_SCORED = 3;
+// Bonus for each extra seed that led to the same channel
+const SEED_COVERAGE_BONUS = 0.1;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const getChannelDetails = async (channelIds) => {
+  const details = new Map();
+  for (let i = 0; i < channelIds.length; i += CHANNELS_BATCH_SIZE) {
+    const channels = await getProvider().getChannels({ ids: channelIds.slice(i, i + CHANNELS_BATCH_SIZE) });
+    channels.forEach(channel => details.set(channel.id, channel));
+  }
+  return details;
+};
+
+// A channel scores by the average of its best few candidate videos, plus a
+// bonus when several different seeds independently led to it
+const scoreChannel = (candidates) => {
+  const top = candidates.slice(0, TOP_VIDEOS_SCORED);
+  const videoScore = top.reduce((sum, candidate) => sum + candidate.score, 0) / top.length;
+  const seedCount = new Set(
+    candidates.flatMap(candidate => candidate.seeds.map(hit => hit.id))
+  ).size;
+  const seedCoverage = (seedCount - 1) * SEED_COVERAGE_BONUS;
+
+  return {
+    score: round(videoScore + seedCoverage),
+    scoreBreakdown: {
+      topVideos: round(videoScore),
+      seedCoverage: round(seedCoverage)
+    },
+    seedCount
+  };
+};
+
+const toCount = (value) => (value === undefined ? null : parseInt(value, 10));
+
+// Recommend channels rather than videos: gather candidates from every seed,
+// group them by uploader and rank the uploaders. Channels the user gave as
+// seeds are left out since they already know them.
+const recommendChannels = async (seedIds, {
+  excludeChannelIds = [],
+  limit = config.channels.maxResults,
+  filters,
+  profileId,
+  signal
+} = {}) => {
+  const { seeds, candidates } = await YouTubeService.collectCandidates(seedIds, { signal, filters, profileId });
+  const excluded = new Set(excludeChannelIds);
+
+  // Candidates arrive ranked, so each group is already best-first
+  const groups = YouTubeService.groupByChannel(
+    candidates.filter(candidate => !excluded.has(candidate.video.snippet.channelId)),
+    candidate => candidate.video
+  );
+
+  const ranked = Array.from(groups.entries())
+    .map(([channelId, channelCandidates]) => ({
+      channelId,
+      candidates: channelCandidates,
+      ...scoreChannel(channelCandidates)
+    }))
+    .sort((a, b) => b.score - a.score || b.candidates.length - a.candidates.length)
+    .slice(0, limit);
+
+  const details = await getChannelDetails(ranked.map(channel => channel.channelId));
+  console.log(`Ranked ${groups.size} candidate channels from ${seeds.length} seeds, returning ${ranked.length}`);
+
+  return ranked.map(channel => {
+    const detail = details.get(channel.channelId);
+    const statistics = detail ? detail.statistics || {} : {};
+    const snippet = detail ? detail.snippet : channel.candidates[0].video.snippet;
+
+    return {
+      channelId: channel.channelId,
+      title: detail ? snippet.title : snippet.channelTitle,
+      customUrl: detail ? snippet.customUrl || null : null,
+      description: detail ? snippet.description : null,
+      thumbnails: detail ? snippet.thumbnails : null,
+      subscriberCount: statistics.hiddenSubscriberCount ? null : toCount(statistics.subscriberCount),
+      videoCount: toCount(statistics.videoCount),
+      score: channel.score,
+      scoreBreakdown: channel.scoreBreakdown,
+      matchedVideos: channel.candidates.length,
+      matchedSeeds: channel.seedCount,
+      sampleVideos: channel.candidates.slice(0, config.channels.sampleVideos).map(candidate => ({
+        id: candidate.id,
+        title: candidate.video.snippet.title,
+        publishedAt: candidate.video.snippet.publishedAt,
+        thumbnails: candidate.video.snippet.thumbnails,
+        sourceVideoId: candidate.seed.id,
+        seeds: candidate.seeds.map(hit => hit.id),
+        score: candidate.score
+      }))
+    };
+  });
+};
+
+module.exports = {
+  recommendChannels
+};
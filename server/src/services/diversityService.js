@@ -0,0 +1,113 @@
+const { extractKeywords, commonWords } = require('./rankingService');
+
+// Title terms describe a video better than its tags, which are often padded
+const TITLE_WEIGHT = 2;
+const TAG_WEIGHT = 1;
+
+const termVector = (video) => {
+  const vector = new Map();
+  const add = (words, weight) => words.forEach(word => {
+    vector.set(word, (vector.get(word) || 0) + weight);
+  });
+
+  add(extractKeywords(video.snippet.title), TITLE_WEIGHT);
+  add(
+    (video.snippet.tags || [])
+      .join(' ')
+      .toLowerCase()
+      .replace(/[^\w\s]/g, '')
+      .split(/\s+/)
+      .filter(word => word.length > 2 && !commonWords.has(word)),
+    TAG_WEIGHT
+  );
+
+  let norm = 0;
+  vector.forEach(weight => { norm += weight * weight; });
+  return { vector, norm: Math.sqrt(norm) };
+};
+
+const cosineSimilarity = (a, b) => {
+  if (a.norm === 0 || b.norm === 0) return 0;
+  const [small, large] = a.vector.size <= b.vector.size ? [a, b] : [b, a];
+  let dot = 0;
+  small.vector.forEach((weight, term) => {
+    dot += weight * (large.vector.get(term) || 0);
+  });
+  return dot / (a.norm * b.norm);
+};
+
+// Pick a page from candidates already sorted by relevance, trading relevance
+// against novelty:
+//
+// - maximal marginal relevance: each pick maximizes
+//   (1 - diversity) * relevance - diversity * (similarity to the closest pick),
+//   with relevance scaled to 0..1 and similarity the cosine of title/tag terms
+// - no channel gets more than maxPerChannel videos on the page
+// - when diversity > 0, seeds take turns: each pick comes from the seed with
+//   the fewest picks so far that still has eligible candidates
+//
+// diversity = 0 keeps the plain relevance order (still honouring the cap).
+const diversify = (candidates, { size, diversity = 0, maxPerChannel = Infinity }) => {
+  if (candidates.length === 0) return [];
+
+  const scores = candidates.map(candidate => candidate.score);
+  const maxScore = Math.max(...scores);
+  const minScore = Math.min(...scores);
+  const relevance = (candidate) =>
+    maxScore === minScore ? 1 : (candidate.score - minScore) / (maxScore - minScore);
+
+  const vectors = new Map();
+  const vectorFor = (candidate) => {
+    if (!vectors.has(candidate.id)) vectors.set(candidate.id, termVector(candidate.video));
+    return vectors.get(candidate.id);
+  };
+
+  const picked = [];
+  const pickedIds = new Set();
+  const perChannel = new Map();
+  const perSeed = new Map();
+  let remaining = candidates;
+
+  while (picked.length < size) {
+    remaining = remaining.filter(candidate =>
+      !pickedIds.has(candidate.id) &&
+      (perChannel.get(candidate.video.snippet.channelId) || 0) < maxPerChannel
+    );
+    if (remaining.length === 0) break;
+
+    let pool = remaining;
+    if (diversity > 0) {
+      const fewest = Math.min(...remaining.map(candidate => perSeed.get(candidate.seed.id) || 0));
+      pool = remaining.filter(candidate => (perSeed.get(candidate.seed.id) || 0) === fewest);
+    }
+
+    let best = null;
+    pool.forEach(candidate => {
+      let similarity = 0;
+      if (diversity > 0) {
+        const vector = vectorFor(candidate);
+        picked.forEach(other => {
+          similarity = Math.max(similarity, cosineSimilarity(vector, vectorFor(other)));
+        });
+      }
+
+      const value = (1 - diversity) * relevance(candidate) - diversity * similarity;
+      if (!best || value > best.value) best = { candidate, value };
+    });
+
+    const { candidate } = best;
+    picked.push(candidate);
+    pickedIds.add(candidate.id);
+    const channelId = candidate.video.snippet.channelId;
+    perChannel.set(channelId, (perChannel.get(channelId) || 0) + 1);
+    perSeed.set(candidate.seed.id, (perSeed.get(candidate.seed.id) || 0) + 1);
+  }
+
+  return picked;
+};
+
+module.exports = {
+  diversify,
+  cosineSimilarity,
+  termVector
+};
@@ -0,0 +1,183 @@
+const { ValidationError } = require('../utils/errors');
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  m3u: { contentType: 'audio/x-mpegurl; charset=utf-8', extension: 'm3u' },
+  opml: { contentType: 'text/x-opml; charset=utf-8', extension: 'opml' }
+};
+
+const watchUrl = (videoId) => `https://www.youtube.com/watch?v=${videoId}`;
+const channelUrl = (channelId) => `https://www.youtube.com/channel/${channelId}`;
+const feedUrl = (channelId) => `https://www.youtube.com/feeds/videos.xml?channel_id=${channelId}`;
+
+// One row per recommended video, in rank order. Channel runs export the
+// sample videos of each recommended channel.
+const videoRows = (run) => {
+  const videos = run.kind === 'channels'
+    ? run.output.items.flatMap(channel => channel.sampleVideos.map(video => ({
+      id: video.id,
+      title: video.title,
+      channelId: channel.channelId,
+      channelTitle: channel.title,
+      publishedAt: video.publishedAt,
+      durationSeconds: null,
+      score: video.score
+    })))
+    : run.output.items;
+
+  return videos.map((video, index) => ({
+    rank: index + 1,
+    videoId: video.id,
+    url: watchUrl(video.id),
+    title: video.title,
+    channelId: video.channelId,
+    channelTitle: video.channelTitle,
+    durationSeconds: video.durationSeconds,
+    publishedAt: video.publishedAt,
+    score: video.score
+  }));
+};
+
+// One entry per channel, best first, with the videos recommended from it
+const channelRows = (run) => {
+  if (run.kind === 'channels') {
+    return run.output.items.map(channel => ({
+      channelId: channel.channelId,
+      title: channel.title,
+      score: channel.score,
+      videos: videoRows({ kind: 'channels', output: { items: [channel] } })
+    }));
+  }
+
+  const channels = new Map();
+  videoRows(run).forEach(video => {
+    if (!channels.has(video.channelId)) {
+      // Rows are in rank order, so a channel's first video is its best
+      channels.set(video.channelId, {
+        channelId: video.channelId,
+        title: video.channelTitle,
+        score: video.score,
+        videos: []
+      });
+    }
+    channels.get(video.channelId).videos.push(video);
+  });
+  return Array.from(channels.values());
+};
+
+// Quote per RFC 4180, and keep spreadsheet apps from running text that
+// starts like a formula
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (run) => {
+  const columns = ['rank', 'videoId', 'url', 'title', 'channelId', 'channelTitle', 'durationSeconds', 'publishedAt', 'score'];
+  const lines = [columns.join(',')];
+  videoRows(run).forEach(row => {
+    lines.push(columns.map(column => csvField(row[column])).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+const toJson = (run) => JSON.stringify({
+  format: 'recfix-export',
+  version: 1,
+  exportedAt: new Date().toISOString(),
+  run: {
+    id: run.id,
+    kind: run.kind,
+    profileId: run.profileId,
+    createdAt: run.createdAt,
+    inputs: run.inputs
+  },
+  videos: videoRows(run),
+  channels: channelRows(run).map(({ videos, ...channel }) => ({
+    ...channel,
+    url: channelUrl(channel.channelId),
+    feedUrl: feedUrl(channel.channelId),
+    videoIds: videos.map(video => video.videoId)
+  }))
+}, null, 2);
+
+// Extended M3U: "#EXTINF:<seconds>,<artist> - <title>" before each URL; -1
+// marks an unknown duration
+const m3uText = (value) => String(value || '').replace(/\s+/g, ' ').trim();
+
+const toM3u = (run) => {
+  const lines = ['#EXTM3U'];
+  videoRows(run).forEach(video => {
+    lines.push(`#EXTINF:${video.durationSeconds ?? -1},${m3uText(video.channelTitle)} - ${m3uText(video.title)}`);
+    lines.push(video.url);
+  });
+  return `${lines.join('\n')}\n`;
+};
+
+const xml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// OPML subscription list of the channels' RSS feeds. Feed readers only need
+// the rss outlines; the recommended videos are nested inside them for tools
+// that want the detail.
+const toOpml = (run) => {
+  const outlines = channelRows(run).map(channel => {
+    const videos = channel.videos.map(video =>
+      `      <outline type="link" text="${xml(video.title)}" url="${xml(video.url)}"` +
+      (video.durationSeconds === null ? '' : ` durationSeconds="${xml(video.durationSeconds)}"`) +
+      ` score="${xml(video.score)}"/>`
+    );
+    return [
+      `    <outline type="rss" text="${xml(channel.title)}" title="${xml(channel.title)}"` +
+        ` xmlUrl="${xml(feedUrl(channel.channelId))}" htmlUrl="${xml(channelUrl(channel.channelId))}"` +
+        ` score="${xml(channel.score)}">`,
+      ...videos,
+      '    </outline>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    '  <head>',
+    `    <title>RecFix recommendations ${xml(run.id)}</title>`,
+    `    <dateCreated>${new Date(run.createdAt).toUTCString()}</dateCreated>`,
+    '  </head>',
+    '  <body>',
+    ...outlines,
+    '  </body>',
+    '</opml>',
+    ''
+  ].join('\n');
+};
+
+const SERIALIZERS = {
+  csv: toCsv,
+  json: toJson,
+  m3u: toM3u,
+  opml: toOpml
+};
+
+// Serialize a saved run as a downloadable file
+const exportRun = (run, format = 'json') => {
+  if (typeof format !== 'string' || !Object.hasOwn(FORMATS, format)) {
+    throw new ValidationError(`format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+  }
+
+  return {
+    ...FORMATS[format],
+    fileName: `recfix-${run.kind}-${run.id.slice(0, 8)}.${FORMATS[format].extension}`,
+    body: SERIALIZERS[format](run)
+  };
+};
+
+module.exports = {
+  exportRun
+};
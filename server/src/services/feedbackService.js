@@ -0,0 +1,226 @@
+const path = require('path');
+const config = require('../config');
+const JsonFileStore = require('../utils/jsonFileStore');
+const { getProvider } = require('../providers');
+const { termVector, cosineSimilarity } = require('./diversityService');
+const { isVideoId, isChannelId } = require('../utils/youtubeIdentifiers');
+const { ValidationError } = require('../utils/errors');
+
+const REACTIONS = ['like', 'dislike', 'clear'];
+const PROFILE_ID = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_ITEMS_PER_REQUEST = 50;
+
+// How much each feedback signal moves a candidate's score
+const WEIGHTS = {
+  channelLiked: 0.2,
+  channelDisliked: -0.4,
+  similarLiked: 0.3,
+  similarDisliked: -0.3,
+  // A video the user explicitly disliked should all but disappear
+  dislikedVideo: -1
+};
+
+const isProfileId = (value) => typeof value === 'string' && PROFILE_ID.test(value);
+
+const assertProfileId = (value) => {
+  if (!isProfileId(value)) {
+    throw new ValidationError('profileId must be 1-64 letters, digits, "-" or "_"');
+  }
+  return value;
+};
+
+// Reactions per profile, persisted under DATA_DIR:
+//   { profiles: { [profileId]: { videos: { [videoId]: {...} }, channels: { [channelId]: {...} } } } }
+// Video reactions keep a snapshot of the video's channel, title and tags so
+// similar candidates can be judged without fetching the video again.
+class FeedbackStore {
+  constructor(store) {
+    this.store = store;
+  }
+
+  // Profile IDs like "constructor" must not find Object.prototype members
+  getProfile(profileId) {
+    const data = this.store.read();
+    return Object.hasOwn(data.profiles, profileId) ? data.profiles[profileId] : { videos: {}, channels: {} };
+  }
+
+  apply(profileId, { videos = [], channels = [] }) {
+    return this.store.update(data => {
+      // Null prototype so that "__proto__" is stored as a plain key
+      data.profiles = Object.assign(Object.create(null), data.profiles);
+      const profile = Object.hasOwn(data.profiles, profileId)
+        ? data.profiles[profileId]
+        : { videos: {}, channels: {} };
+      const updatedAt = new Date().toISOString();
+
+      videos.forEach(({ video, reaction }) => {
+        if (reaction === 'clear') {
+          delete profile.videos[video.id];
+          return;
+        }
+        profile.videos[video.id] = {
+          reaction,
+          title: video.snippet.title,
+          tags: video.snippet.tags || [],
+          channelId: video.snippet.channelId,
+          channelTitle: video.snippet.channelTitle,
+          updatedAt
+        };
+      });
+
+      channels.forEach(({ channelId, reaction }) => {
+        if (reaction === 'clear') {
+          delete profile.channels[channelId];
+          return;
+        }
+        profile.channels[channelId] = { reaction, updatedAt };
+      });
+
+      data.profiles[profileId] = profile;
+      return profile;
+    });
+  }
+}
+
+let feedbackStore = null;
+
+const getFeedbackStore = () => {
+  if (!feedbackStore) {
+    feedbackStore = new FeedbackStore(
+      new JsonFileStore(path.join(config.dataDir, 'feedback.json'), { profiles: {} })
+    );
+  }
+  return feedbackStore;
+};
+
+// Validate a feedback request body:
+//   { profileId, items: [{ videoId | channelId, reaction: 'like' | 'dislike' | 'clear' }] }
+const validateFeedback = (body = {}) => {
+  const profileId = assertProfileId(body.profileId);
+  const { items } = body;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ValidationError('items must be a non-empty array');
+  }
+  if (items.length > MAX_ITEMS_PER_REQUEST) {
+    throw new ValidationError(`At most ${MAX_ITEMS_PER_REQUEST} items can be sent at once`);
+  }
+
+  const errors = [];
+  items.forEach((item, index) => {
+    if (!item || typeof item !== 'object') {
+      errors.push({ index, error: 'Each item must be an object' });
+    } else if (!REACTIONS.includes(item.reaction)) {
+      errors.push({ index, error: `reaction must be one of: ${REACTIONS.join(', ')}` });
+    } else if (item.videoId !== undefined ? !isVideoId(item.videoId) : !isChannelId(item.channelId)) {
+      errors.push({ index, error: 'Each item needs a valid videoId or channelId' });
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid feedback items', errors);
+  }
+
+  return { profileId, items };
+};
+
+// Record reactions. Liked and disliked videos are looked up so their channel,
+// title and tags can be remembered; IDs YouTube does not know are reported
+// back rather than stored.
+const recordFeedback = async (body) => {
+  const { profileId, items } = validateFeedback(body);
+
+  const videoItems = items.filter(item => item.videoId !== undefined);
+  const lookupIds = Array.from(new Set(
+    videoItems.filter(item => item.reaction !== 'clear').map(item => item.videoId)
+  ));
+  const found = new Map(
+    (lookupIds.length ? await getProvider().getVideos(lookupIds) : []).map(video => [video.id, video])
+  );
+
+  const notFound = lookupIds.filter(id => !found.has(id));
+  const videos = videoItems
+    .filter(item => item.reaction === 'clear' || found.has(item.videoId))
+    .map(item => ({
+      video: found.get(item.videoId) || { id: item.videoId },
+      reaction: item.reaction
+    }));
+  const channels = items
+    .filter(item => item.videoId === undefined)
+    .map(({ channelId, reaction }) => ({ channelId, reaction }));
+
+  const profile = getFeedbackStore().apply(profileId, { videos, channels });
+  console.log(`Recorded ${videos.length + channels.length} reactions for profile ${profileId}`);
+
+  return {
+    profileId,
+    recorded: videos.length + channels.length,
+    notFound,
+    totals: summarizeProfile(profile)
+  };
+};
+
+const summarizeProfile = (profile) => {
+  const count = (entries, reaction) =>
+    Object.values(entries).filter(entry => entry.reaction === reaction).length;
+  return {
+    likedVideos: count(profile.videos, 'like'),
+    dislikedVideos: count(profile.videos, 'dislike'),
+    likedChannels: count(profile.channels, 'like'),
+    dislikedChannels: count(profile.channels, 'dislike')
+  };
+};
+
+const getFeedback = (profileId) => {
+  const profile = getFeedbackStore().getProfile(assertProfileId(profileId));
+  return { profileId, ...profile, totals: summarizeProfile(profile) };
+};
+
+// Build a scoring function from a profile's reactions, or null when the
+// profile has none. Candidates gain or lose score for a liked or disliked
+// channel (directly, or through liked/disliked videos from it) and for
+// title/tag similarity to the videos the user liked or disliked.
+const createFeedbackScorer = (profileId) => {
+  if (!profileId) return null;
+
+  const profile = getFeedbackStore().getProfile(profileId);
+  const videos = Object.entries(profile.videos);
+  if (videos.length === 0 && Object.keys(profile.channels).length === 0) return null;
+
+  const channelReactions = new Map();
+  videos.forEach(([, entry]) => channelReactions.set(entry.channelId, entry.reaction));
+  // Explicit channel reactions win over ones inferred from videos
+  Object.entries(profile.channels).forEach(([channelId, entry]) => channelReactions.set(channelId, entry.reaction));
+
+  const vectorsFor = (reaction) => videos
+    .filter(([, entry]) => entry.reaction === reaction)
+    .map(([, entry]) => termVector({ snippet: { title: entry.title, tags: entry.tags } }));
+  const liked = vectorsFor('like');
+  const disliked = vectorsFor('dislike');
+  const closest = (vector, vectors) =>
+    vectors.reduce((best, other) => Math.max(best, cosineSimilarity(vector, other)), 0);
+
+  return (video) => {
+    if (Object.hasOwn(profile.videos, video.id) && profile.videos[video.id].reaction === 'dislike') {
+      return WEIGHTS.dislikedVideo;
+    }
+
+    let score = 0;
+    const channelReaction = channelReactions.get(video.snippet.channelId);
+    if (channelReaction === 'like') score += WEIGHTS.channelLiked;
+    if (channelReaction === 'dislike') score += WEIGHTS.channelDisliked;
+
+    const vector = termVector(video);
+    score += closest(vector, liked) * WEIGHTS.similarLiked;
+    score += closest(vector, disliked) * WEIGHTS.similarDisliked;
+    return score;
+  };
+};
+
+module.exports = {
+  isProfileId,
+  assertProfileId,
+  recordFeedback,
+  getFeedback,
+  createFeedbackScorer
+};
@@ -0,0 +1,132 @@
+const config = require('../config');
+const YouTubeService = require('./youtubeService');
+const { buildInsights } = require('./insightsService');
+const { recordRun } = require('./runService');
+const { recordHistorySummary } = require('./profileService');
+const { parseWatchHistory } = require('../parsers/watchHistory');
+const { ValidationError } = require('../utils/errors');
+
+// Share of overall progress each stage of an upload run covers
+const STAGE_RANGES = {
+  parsing: [0, 25],
+  seeds: [25, 30],
+  fetching: [30, 85],
+  ranking: [85, 100]
+};
+
+const toPercent = (stage, { completed, total } = {}) => {
+  const [start, end] = STAGE_RANGES[stage] || [0, 100];
+  if (!total) return start;
+  return Math.round(start + (end - start) * Math.min(1, completed / total));
+};
+
+// Parse an uploaded Takeout file and insist on at least one usable entry
+const parseUploadedHistory = async (file, { onProgress, signal } = {}) => {
+  const history = await parseWatchHistory(file.path, {
+    maxEntries: config.upload.maxEntries,
+    maxBytes: config.upload.maxBytes,
+    onProgress,
+    signal
+  });
+
+  if (history.entries.length === 0) {
+    throw new ValidationError('No valid watch history entries found in the file.');
+  }
+
+  return history;
+};
+
+// Full upload pipeline: parse the history, pick seeds, fetch and rank
+// recommendations. Progress is reported as { stage, percent, ...details }.
+const processHistoryUpload = async (file, { onProgress = () => {}, signal, ...runOptions } = {}) => {
+  const report = (stage, details = {}) =>
+    onProgress({ stage, percent: toPercent(stage, details), ...details });
+
+  report('parsing');
+  const history = await parseUploadedHistory(file, {
+    onProgress: entries => report('parsing', { entries }),
+    signal
+  });
+
+  console.log(`Processing ${history.entries.length} watch history entries from ${history.format} upload`);
+
+  const result = await YouTubeService.processTakeoutFile(history.entries, {
+    onProgress: report,
+    signal,
+    ...runOptions
+  });
+
+  // Calculate channel diversity
+  const channelCounts = YouTubeService.groupByChannel(result.items);
+
+  report('ranking', { completed: 1, total: 1 });
+
+  const stats = {
+    format: history.format,
+    processedEntries: history.entries.length,
+    skipped: {
+      ads: history.stats.ads,
+      removedVideos: history.stats.removedVideos,
+      nonVideo: history.stats.nonVideo,
+      invalid: history.stats.invalid
+    },
+    // Candidates dropped because the history shows they were already watched
+    alreadySeenRemoved: result.alreadySeenRemoved,
+    uniqueChannels: channelCounts.size,
+    videosPerChannel: channelCounts.size
+      ? Math.round(result.items.length / channelCounts.size * 10) / 10
+      : 0
+  };
+
+  const { seedCount = null, allowRewatchAfterDays = null, profileId = null } = runOptions;
+  const run = recordRun({
+    kind: 'upload',
+    profileId,
+    inputs: { fileName: file.originalname, seedCount, allowRewatchAfterDays },
+    output: { items: result.items, nextPageToken: result.nextPageToken, seeds: result.seeds, stats }
+  });
+  if (profileId) {
+    recordHistorySummary(profileId, {
+      runId: run.id,
+      uploadedAt: run.createdAt,
+      format: history.format,
+      processedEntries: history.entries.length,
+      seeds: result.seeds.map(({ videoId, title, channelName }) => ({ videoId, title, channelName }))
+    });
+  }
+
+  return {
+    runId: run.id,
+    recommendations: result.items,
+    nextPageToken: result.nextPageToken,
+    total: result.items.length,
+    // Which history videos drove the recommendations, and why they were picked
+    seeds: result.seeds,
+    stats
+  };
+};
+
+// Parse an uploaded history and summarize viewing habits instead of
+// fetching recommendations; no YouTube API calls are made
+const analyzeHistoryUpload = async (file, options = {}) => {
+  const history = await parseUploadedHistory(file);
+  return {
+    ...buildInsights(history.entries, options),
+    stats: {
+      format: history.format,
+      processedEntries: history.entries.length,
+      skipped: {
+        ads: history.stats.ads,
+        removedVideos: history.stats.removedVideos,
+        nonVideo: history.stats.nonVideo,
+        invalid: history.stats.invalid
+      }
+    }
+  };
+};
+
+module.exports = {
+  parseUploadedHistory,
+  processHistoryUpload,
+  analyzeHistoryUpload
+};
@@ -0,0 +1,224 @@
+const { extractVideoId } = require('./youtubeService');
+const { ValidationError } = require('../utils/errors');
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DEFAULT_SESSION_GAP_MINUTES = 30;
+const DEFAULT_TOP_CHANNELS = 10;
+const TOP_REWATCHED = 10;
+const DEFAULT_SESSION_LIMIT = 50;
+const MAX_SESSION_LIMIT = 500;
+
+const round = (value, places = 3) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+const share = (count, total) => (total ? round(count / total) : 0);
+
+// Bucket timestamps by hour and weekday in the viewer's own time zone
+const createClock = (timeZone) => {
+  let format;
+  try {
+    format = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      hour: 'numeric',
+      weekday: 'long'
+    });
+  } catch (error) {
+    throw new ValidationError(`Unknown time zone: ${timeZone}`);
+  }
+
+  return (date) => {
+    const parts = format.formatToParts(date);
+    return {
+      hour: parseInt(parts.find(part => part.type === 'hour').value, 10) % 24,
+      weekday: WEEKDAYS.indexOf(parts.find(part => part.type === 'weekday').value)
+    };
+  };
+};
+
+const isMusicEntry = (entry) => {
+  if (/music/i.test(entry.header || '')) return true;
+  try {
+    return new URL(entry.titleUrl).hostname.startsWith('music.');
+  } catch (error) {
+    return false;
+  }
+};
+
+const toWatch = (entry) => {
+  const channel = entry.subtitles[0];
+  return {
+    videoId: extractVideoId(entry.titleUrl),
+    title: (entry.title || '').replace(/^Watched\s+/i, ''),
+    channelName: channel ? channel.name : null,
+    channelUrl: channel ? channel.url : null,
+    time: new Date(entry.time),
+    music: isMusicEntry(entry)
+  };
+};
+
+const summarizeChannels = (watches, limit) => {
+  const channels = new Map();
+  watches.forEach(watch => {
+    if (!watch.channelName) return;
+    const key = watch.channelUrl || watch.channelName;
+    if (!channels.has(key)) {
+      channels.set(key, { name: watch.channelName, url: watch.channelUrl, watches: 0, videos: new Set() });
+    }
+    const channel = channels.get(key);
+    channel.watches++;
+    channel.videos.add(watch.videoId);
+  });
+
+  return {
+    uniqueChannels: channels.size,
+    topChannels: Array.from(channels.values())
+      .sort((a, b) => b.watches - a.watches || a.name.localeCompare(b.name))
+      .slice(0, limit)
+      .map(channel => ({
+        name: channel.name,
+        url: channel.url,
+        watches: channel.watches,
+        uniqueVideos: channel.videos.size,
+        share: share(channel.watches, watches.length)
+      }))
+  };
+};
+
+const summarizeTimes = (watches, clock) => {
+  const byHour = new Array(24).fill(0);
+  const byWeekday = new Array(7).fill(0);
+
+  watches.forEach(watch => {
+    const { hour, weekday } = clock(watch.time);
+    byHour[hour]++;
+    byWeekday[weekday]++;
+  });
+
+  return {
+    byHour: byHour.map((count, hour) => ({ hour, count })),
+    byWeekday: byWeekday.map((count, day) => ({ day: WEEKDAYS[day], count }))
+  };
+};
+
+const summarizeRewatches = (watches) => {
+  const videos = new Map();
+  watches.forEach(watch => {
+    if (!videos.has(watch.videoId)) {
+      videos.set(watch.videoId, { videoId: watch.videoId, title: watch.title, channelName: watch.channelName, watches: 0 });
+    }
+    videos.get(watch.videoId).watches++;
+  });
+
+  const rewatched = Array.from(videos.values()).filter(video => video.watches > 1);
+
+  return {
+    uniqueVideos: videos.size,
+    rewatchedVideos: rewatched.length,
+    // Share of distinct videos watched more than once
+    rewatchRate: share(rewatched.length, videos.size),
+    // Share of all watches that were repeats of something already seen
+    repeatWatchShare: share(watches.length - videos.size, watches.length),
+    mostRewatched: rewatched
+      .sort((a, b) => b.watches - a.watches)
+      .slice(0, TOP_REWATCHED)
+  };
+};
+
+// Group watches into sessions: a new session starts whenever the gap since
+// the previous watch is longer than gapMinutes. Lists the most recent
+// sessions, newest first, up to limit.
+const summarizeSessions = (watches, gapMinutes, limit) => {
+  const gapMs = gapMinutes * 60 * 1000;
+  const sorted = [...watches].sort((a, b) => a.time - b.time);
+  const sessions = [];
+
+  sorted.forEach(watch => {
+    const current = sessions[sessions.length - 1];
+    if (current && watch.time - current.end <= gapMs) {
+      current.end = watch.time;
+      current.watches.push(watch);
+    } else {
+      sessions.push({ start: watch.time, end: watch.time, watches: [watch] });
+    }
+  });
+
+  const toSession = (session) => ({
+    start: session.start.toISOString(),
+    end: session.end.toISOString(),
+    videos: session.watches.length,
+    durationMinutes: Math.round((session.end - session.start) / 60000),
+    channels: new Set(session.watches.map(watch => watch.channelName).filter(Boolean)).size
+  });
+
+  const lengths = sessions.map(session => session.watches.length);
+  const longest = sessions.reduce(
+    (best, session) => (!best || session.watches.length > best.watches.length ? session : best),
+    null
+  );
+
+  return {
+    gapMinutes,
+    count: sessions.length,
+    averageVideos: sessions.length
+      ? round(lengths.reduce((sum, length) => sum + length, 0) / sessions.length, 1)
+      : 0,
+    // Sessions of five or more videos in a row
+    binges: lengths.filter(length => length >= 5).length,
+    longest: longest ? toSession(longest) : null,
+    items: sessions.slice(-limit).reverse().map(toSession),
+    truncated: sessions.length > limit
+  };
+};
+
+const summarizeProducts = (watches) => {
+  const music = watches.filter(watch => watch.music).length;
+  return {
+    youtube: { watches: watches.length - music, share: share(watches.length - music, watches.length) },
+    youtubeMusic: { watches: music, share: share(music, watches.length) }
+  };
+};
+
+// Turn parsed watch-history entries into a summary of viewing habits
+const buildInsights = (entries, {
+  timeZone = 'UTC',
+  sessionGapMinutes = DEFAULT_SESSION_GAP_MINUTES,
+  topChannels = DEFAULT_TOP_CHANNELS,
+  sessionLimit = DEFAULT_SESSION_LIMIT
+} = {}) => {
+  const clock = createClock(timeZone);
+  const watches = entries
+    .map(toWatch)
+    .filter(watch => watch.videoId && !Number.isNaN(watch.time.getTime()));
+
+  if (watches.length === 0) {
+    throw new ValidationError('No dated video watches found in the file.');
+  }
+
+  // reduce rather than Math.min(...) so large histories don't overflow the stack
+  const from = watches.reduce((min, watch) => Math.min(min, watch.time.getTime()), Infinity);
+  const to = watches.reduce((max, watch) => Math.max(max, watch.time.getTime()), -Infinity);
+  const { uniqueChannels, topChannels: channels } = summarizeChannels(watches, topChannels);
+
+  return {
+    timeZone,
+    range: {
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString()
+    },
+    totalWatches: watches.length,
+    uniqueChannels,
+    topChannels: channels,
+    ...summarizeTimes(watches, clock),
+    rewatches: summarizeRewatches(watches),
+    sessions: summarizeSessions(watches, sessionGapMinutes, Math.min(sessionLimit, MAX_SESSION_LIMIT)),
+    products: summarizeProducts(watches)
+  };
+};
+
+module.exports = {
+  MAX_SESSION_LIMIT,
+  buildInsights
+};
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const config = require('../config');
+const { HttpError } = require('../utils/errors');
+
+const TERMINAL_STATUSES = new Set(['completed', 'failed', 'cancelled']);
+
+// In-memory background job queue. Each job runs a handler that receives an
+// AbortSignal and a progress reporter; listeners follow one job through
+// subscribe(), or every job through the queue's 'update' events.
+class JobQueue extends EventEmitter {
+  constructor({ concurrency = 1, ttlSeconds = 3600, maxQueued = 20 } = {}) {
+    super();
+    this.concurrency = concurrency;
+    this.ttlMs = ttlSeconds * 1000;
+    this.maxQueued = maxQueued;
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = 0;
+
+    this.sweeper = setInterval(() => this.expire(), Math.min(this.ttlMs, 60 * 1000));
+    this.sweeper.unref();
+  }
+
+  enqueue(type, handler, { onSettled } = {}) {
+    if (this.queue.length >= this.maxQueued) {
+      throw new HttpError(503, 'Too many jobs are waiting. Please try again shortly.');
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: 'queued',
+      progress: { stage: 'queued', percent: 0 },
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null,
+      expiresAt: null,
+      result: null,
+      error: null,
+      controller: new AbortController(),
+      events: new EventEmitter(),
+      handler,
+      onSettled
+    };
+
+    // Every client streaming this job's progress listens here
+    job.events.setMaxListeners(0);
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job);
+    this.runNext();
+    return this.toPublic(job);
+  }
+
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? this.toPublic(job) : null;
+  }
+
+  // Call listener with every update to one job. Returns a function that
+  // stops listening, or null when there is no such job.
+  subscribe(id, listener) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+
+    job.events.on('update', listener);
+    return () => job.events.removeListener('update', listener);
+  }
+
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+
+    if (job.status === 'queued') {
+      this.queue = this.queue.filter(queued => queued !== job);
+      this.finish(job, 'cancelled', { error: 'Job was cancelled' });
+    } else if (job.status === 'running') {
+      job.controller.abort();
+    }
+
+    return this.toPublic(job);
+  }
+
+  async runNext() {
+    if (this.running >= this.concurrency || this.queue.length === 0) return;
+
+    const job = this.queue.shift();
+    this.running++;
+    this.update(job, { status: 'running', progress: { stage: 'starting', percent: 0 } });
+
+    try {
+      const result = await job.handler({
+        signal: job.controller.signal,
+        reportProgress: progress => {
+          if (job.status === 'running') this.update(job, { progress });
+        }
+      });
+      // A cancel that lands after the handler's last abort check still wins
+      if (job.controller.signal.aborted) {
+        this.finish(job, 'cancelled', { error: 'Job was cancelled' });
+      } else {
+        this.finish(job, 'completed', { result });
+      }
+    } catch (error) {
+      if (job.controller.signal.aborted) {
+        this.finish(job, 'cancelled', { error: 'Job was cancelled' });
+      } else {
+        console.error(`Job ${job.id} failed:`, error);
+        this.finish(job, 'failed', {
+          error: error.message,
+          errorStatus: error instanceof HttpError ? error.status : 500
+        });
+      }
+    } finally {
+      this.running--;
+      this.runNext();
+    }
+  }
+
+  update(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    const update = this.toPublic(job);
+    job.events.emit('update', update);
+    this.emit('update', update);
+  }
+
+  finish(job, status, changes) {
+    const finishedAt = new Date();
+    this.update(job, {
+      ...changes,
+      status,
+      progress: { ...job.progress, stage: status, percent: status === 'completed' ? 100 : job.progress.percent },
+      finishedAt: finishedAt.toISOString(),
+      expiresAt: new Date(finishedAt.getTime() + this.ttlMs).toISOString()
+    });
+
+    job.handler = null;
+    if (job.onSettled) {
+      Promise.resolve(job.onSettled(this.toPublic(job))).catch(error =>
+        console.error(`Cleanup for job ${job.id} failed:`, error)
+      );
+    }
+  }
+
+  // Drop finished jobs whose results have outlived the TTL
+  expire() {
+    const now = Date.now();
+    this.jobs.forEach((job, id) => {
+      if (job.expiresAt && new Date(job.expiresAt).getTime() <= now) {
+        this.jobs.delete(id);
+        job.events.removeAllListeners();
+        this.emit('expired', id);
+      }
+    });
+  }
+
+  isFinished(job) {
+    return TERMINAL_STATUSES.has(job.status);
+  }
+
+  toPublic(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      progress: job.progress,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      finishedAt: job.finishedAt,
+      expiresAt: job.expiresAt,
+      result: job.result,
+      error: job.error,
+      errorStatus: job.errorStatus
+    };
+  }
+}
+
+let jobQueue = null;
+
+const getJobQueue = () => {
+  if (!jobQueue) {
+    jobQueue = new JobQueue(config.jobs);
+  }
+  return jobQueue;
+};
+
+module.exports = {
+  JobQueue,
+  getJobQueue
+};
@@ -0,0 +1,82 @@
+const { extractKeywords, commonWords } = require('./rankingService');
+
+// Terms taken from each seed, and shared terms mixed into every query
+const TERMS_PER_SEED = 4;
+const SHARED_TERMS = 2;
+// Candidate terms considered per seed when looking for overlap
+const OVERLAP_POOL = 10;
+
+// Title words count most, then tags, then the start of the description
+const WEIGHTS = {
+  title: 3,
+  tags: 2,
+  description: 1
+};
+
+const tagWords = (tags = []) =>
+  tags
+    .join(' ')
+    .toLowerCase()
+    .replace(/[^\w\s]/g, '')
+    .split(/\s+/)
+    .filter(word => word.length > 2 && !commonWords.has(word));
+
+// Rank a seed's terms by where and how often they appear. Returns
+// [{ term, weight }], strongest first.
+const rankSeedTerms = (video) => {
+  const weights = new Map();
+  const add = (words, weight) => words.forEach(word => {
+    if (/^\d+$/.test(word)) return;
+    weights.set(word, (weights.get(word) || 0) + weight);
+  });
+
+  add(extractKeywords(video.snippet.title), WEIGHTS.title);
+  add(tagWords(video.snippet.tags), WEIGHTS.tags);
+  add(extractKeywords('', video.snippet.description), WEIGHTS.description);
+
+  return Array.from(weights.entries())
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([term, weight]) => ({ term, weight }));
+};
+
+// Build one search query per seed from its own strongest terms plus the terms
+// several seeds have in common, so every query also pulls towards what the
+// seeds share. Terms are OR-ed ("a|b|c") so a query still matches when only
+// some of them appear.
+const buildSeedQueries = (seeds) => {
+  const termsBySeed = new Map(seeds.map(seed => [seed.id, rankSeedTerms(seed)]));
+
+  // Only title and tag terms can be shared; description boilerplate
+  // ("subscribe", "video", ...) overlaps between almost any two seeds
+  const seedCounts = new Map();
+  termsBySeed.forEach(terms => {
+    terms
+      .filter(({ weight }) => weight >= WEIGHTS.tags)
+      .slice(0, OVERLAP_POOL)
+      .forEach(({ term }) => seedCounts.set(term, (seedCounts.get(term) || 0) + 1));
+  });
+  // A shared term has to be common to most seeds, or it would drag the
+  // queries of unrelated seeds off topic
+  const minSeeds = Math.max(2, Math.floor(seeds.length / 2) + 1);
+  const shared = Array.from(seedCounts.entries())
+    .filter(([, count]) => count >= minSeeds)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, SHARED_TERMS)
+    .map(([term]) => term);
+
+  const queries = new Map();
+  termsBySeed.forEach((terms, seedId) => {
+    const own = terms
+      .map(({ term }) => term)
+      .filter(term => !shared.includes(term))
+      .slice(0, TERMS_PER_SEED);
+    const query = [...own, ...shared].join('|');
+    if (query) queries.set(seedId, { query, terms: own, sharedTerms: shared });
+  });
+
+  return queries;
+};
+
+module.exports = {
+  buildSeedQueries
+};
@@ -0,0 +1,248 @@
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const JsonFileStore = require('../utils/jsonFileStore');
+const { HttpError } = require('../utils/errors');
+
+// Clients name their session in this header on calls that act as the user
+const SESSION_HEADER = 'x-google-session';
+// How long a started sign-in may take before its state is forgotten
+const PENDING_TTL_MS = 10 * 60 * 1000;
+// Refresh access tokens this long before they actually expire
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+// Sign-ins waiting for Google to redirect back: state -> PKCE verifier.
+// Kept in memory; a restart mid-sign-in just means starting again.
+const pending = new Map();
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+const assertConfigured = () => {
+  if (!config.oauth.clientId || !config.oauth.clientSecret) {
+    throw new HttpError(503, 'Google sign-in is not configured. Set GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET.');
+  }
+};
+
+// Signed-in sessions, persisted under DATA_DIR so they survive restarts:
+//   { sessions: { [id]: { accessToken, refreshToken, expiresAt, scope, createdAt, lastUsedAt } } }
+// The session id is the only thing handed to the client; tokens stay here.
+class SessionStore {
+  constructor(store, ttlDays) {
+    this.store = store;
+    this.ttlMs = ttlDays * 24 * 3600 * 1000;
+  }
+
+  get(id) {
+    const session = this.store.read().sessions[id];
+    if (!session) return null;
+    if (Date.now() - new Date(session.lastUsedAt).getTime() > this.ttlMs) {
+      this.remove(id);
+      return null;
+    }
+    return session;
+  }
+
+  put(id, session) {
+    return this.store.update(data => {
+      // Drop sessions nobody has used in a while
+      Object.entries(data.sessions).forEach(([otherId, other]) => {
+        if (Date.now() - new Date(other.lastUsedAt).getTime() > this.ttlMs) delete data.sessions[otherId];
+      });
+      data.sessions[id] = session;
+      return session;
+    });
+  }
+
+  remove(id) {
+    return this.store.update(data => {
+      const session = data.sessions[id] || null;
+      delete data.sessions[id];
+      return session;
+    });
+  }
+}
+
+let sessionStore = null;
+
+const getSessionStore = () => {
+  if (!sessionStore) {
+    sessionStore = new SessionStore(
+      new JsonFileStore(path.join(config.dataDir, 'oauth-sessions.json'), { sessions: {} }),
+      config.oauth.sessionTtlDays
+    );
+  }
+  return sessionStore;
+};
+
+const prunePending = () => {
+  const cutoff = Date.now() - PENDING_TTL_MS;
+  pending.forEach((entry, state) => {
+    if (entry.createdAt < cutoff) pending.delete(state);
+  });
+};
+
+// Begin the authorization code flow: where to send the user, with a state
+// value and a PKCE challenge the callback will be checked against
+const startAuthorization = () => {
+  assertConfigured();
+  prunePending();
+
+  const state = base64url(crypto.randomBytes(24));
+  const codeVerifier = base64url(crypto.randomBytes(48));
+  pending.set(state, { codeVerifier, createdAt: Date.now() });
+
+  const url = new URL(config.oauth.authUrl);
+  url.search = new URLSearchParams({
+    client_id: config.oauth.clientId,
+    redirect_uri: config.oauth.redirectUri,
+    response_type: 'code',
+    scope: config.oauth.scope,
+    // Ask for a refresh token so sessions outlive the one-hour access token
+    access_type: 'offline',
+    prompt: 'consent',
+    include_granted_scopes: 'true',
+    state,
+    code_challenge: base64url(crypto.createHash('sha256').update(codeVerifier).digest()),
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return {
+    authorizationUrl: url.toString(),
+    expiresAt: new Date(Date.now() + PENDING_TTL_MS).toISOString()
+  };
+};
+
+const requestToken = async (params) => {
+  let response;
+  try {
+    response = await fetch(config.oauth.tokenUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Accept: 'application/json'
+      },
+      body: new URLSearchParams({
+        client_id: config.oauth.clientId,
+        client_secret: config.oauth.clientSecret,
+        ...params
+      })
+    });
+  } catch (error) {
+    throw new HttpError(502, 'Could not reach the Google token endpoint', { reason: error.message });
+  }
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok || !body.access_token) {
+    // 400/401 mean the code, refresh token or client was refused
+    const refused = response.status === 400 || response.status === 401;
+    throw new HttpError(refused ? 401 : 502, 'Google did not grant an access token', {
+      error: body.error,
+      description: body.error_description
+    });
+  }
+  return body;
+};
+
+const toExpiresAt = (tokens) =>
+  new Date(Date.now() + (Number(tokens.expires_in) || 3600) * 1000).toISOString();
+
+// Handle Google's redirect back: check the state, trade the code for tokens
+// and open a session
+const completeAuthorization = async ({ code, state, error }) => {
+  assertConfigured();
+
+  if (error) {
+    throw new HttpError(403, 'Google sign-in was not completed', { error });
+  }
+
+  prunePending();
+  const entry = typeof state === 'string' ? pending.get(state) : null;
+  if (!entry) {
+    throw new HttpError(400, 'This sign-in link is invalid or has expired. Please start again.');
+  }
+  pending.delete(state);
+
+  if (!code) {
+    throw new HttpError(400, 'Google did not return an authorization code');
+  }
+
+  const tokens = await requestToken({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.oauth.redirectUri,
+    code_verifier: entry.codeVerifier
+  });
+
+  const id = crypto.randomBytes(32).toString('hex');
+  const now = new Date().toISOString();
+  const session = getSessionStore().put(id, {
+    accessToken: tokens.access_token,
+    refreshToken: tokens.refresh_token || null,
+    expiresAt: toExpiresAt(tokens),
+    scope: tokens.scope || config.oauth.scope,
+    createdAt: now,
+    lastUsedAt: now
+  });
+  console.log('Google sign-in completed');
+
+  return { sessionId: id, scope: session.scope, expiresAt: session.expiresAt };
+};
+
+// A usable access token for a session, refreshed first when it is about to
+// expire
+const getAccessToken = async (sessionId) => {
+  const session = sessionId ? getSessionStore().get(sessionId) : null;
+  if (!session) {
+    throw new HttpError(401, 'Not signed in with Google. Sign in at /api/auth/google first.');
+  }
+
+  let updated = { ...session, lastUsedAt: new Date().toISOString() };
+  if (new Date(session.expiresAt).getTime() - EXPIRY_MARGIN_MS < Date.now()) {
+    if (!session.refreshToken) {
+      getSessionStore().remove(sessionId);
+      throw new HttpError(401, 'Google session expired. Please sign in again.');
+    }
+
+    const tokens = await requestToken({
+      grant_type: 'refresh_token',
+      refresh_token: session.refreshToken
+    });
+    updated = {
+      ...updated,
+      accessToken: tokens.access_token,
+      // Google only sometimes rotates the refresh token
+      refreshToken: tokens.refresh_token || session.refreshToken,
+      expiresAt: toExpiresAt(tokens)
+    };
+  }
+
+  getSessionStore().put(sessionId, updated);
+  return updated.accessToken;
+};
+
+// Forget a session and ask Google to revoke its grant. Revocation is best
+// effort: the session is gone locally either way.
+const signOut = async (sessionId) => {
+  const session = sessionId ? getSessionStore().remove(sessionId) : null;
+  if (!session) {
+    throw new HttpError(404, 'No such Google session');
+  }
+
+  try {
+    await fetch(config.oauth.revokeUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ token: session.refreshToken || session.accessToken })
+    });
+  } catch (error) {
+    console.error('Could not revoke Google token:', error.message);
+  }
+};
+
+module.exports = {
+  SESSION_HEADER,
+  startAuthorization,
+  completeAuthorization,
+  getAccessToken,
+  signOut
+};
@@ -0,0 +1,162 @@
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const JsonFileStore = require('../utils/jsonFileStore');
+const { assertProfileId } = require('./feedbackService');
+const { normalizeOptions } = require('./videoFilters');
+const { parseYouTubeInput } = require('../utils/youtubeIdentifiers');
+const { HttpError, ValidationError } = require('../utils/errors');
+
+const MAX_NAME_LENGTH = 100;
+const MAX_SEED_URLS = 5;
+
+// Saved feed recipes, persisted under DATA_DIR:
+//   { profiles: { [id]: { id, name, urls, options, history, createdAt, updatedAt } } }
+// A profile's id is also its feedback profile id, so its likes and dislikes
+// apply whenever it runs. history is a summary of the last uploaded watch
+// history run with the profile, or null.
+class ProfileStore {
+  constructor(store) {
+    this.store = store;
+  }
+
+  // Ids like "toString" must not find Object.prototype members
+  get(id) {
+    const { profiles } = this.store.read();
+    return Object.hasOwn(profiles, id) ? profiles[id] : null;
+  }
+
+  list() {
+    return Object.values(this.store.read().profiles);
+  }
+
+  put(profile) {
+    return this.store.update(data => {
+      // Null prototype so that "__proto__" is stored as a plain key
+      data.profiles = Object.assign(Object.create(null), data.profiles);
+      data.profiles[profile.id] = profile;
+      return profile;
+    });
+  }
+
+  remove(id) {
+    return this.store.update(data => {
+      if (!Object.hasOwn(data.profiles, id)) return false;
+      delete data.profiles[id];
+      return true;
+    });
+  }
+}
+
+let profileStore = null;
+
+const getProfileStore = () => {
+  if (!profileStore) {
+    profileStore = new ProfileStore(
+      new JsonFileStore(path.join(config.dataDir, 'profiles.json'), { profiles: {} })
+    );
+  }
+  return profileStore;
+};
+
+// Check the fields a client may set. Only fields present in the body are
+// returned, so updates can change one field at a time.
+const validateFields = (body, { requireAll }) => {
+  const fields = {};
+  const errors = [];
+  const reject = (field, error) => errors.push({ field, error });
+
+  if (body.name !== undefined || requireAll) {
+    if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > MAX_NAME_LENGTH) {
+      reject('name', `Must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+    } else {
+      fields.name = body.name.trim();
+    }
+  }
+
+  if (body.urls !== undefined || requireAll) {
+    if (!Array.isArray(body.urls) || body.urls.length === 0 || body.urls.length > MAX_SEED_URLS) {
+      reject('urls', `Must be a list of 1 to ${MAX_SEED_URLS} YouTube URLs, playlists or channels`);
+    } else {
+      const unusable = body.urls.filter(url => !parseYouTubeInput(url).type);
+      if (unusable.length > 0) reject('urls', `Not YouTube links or IDs: ${unusable.join(', ')}`);
+      else fields.urls = body.urls;
+    }
+  }
+
+  if (body.options !== undefined) {
+    try {
+      fields.options = normalizeOptions(body.options);
+    } catch (error) {
+      if (!(error instanceof ValidationError)) throw error;
+      reject('options', error.details || error.message);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid profile', errors);
+  }
+  return fields;
+};
+
+const createProfile = (body = {}) => {
+  const id = body.id === undefined ? crypto.randomUUID() : assertProfileId(body.id);
+  if (getProfileStore().get(id)) {
+    throw new HttpError(409, `Profile ${id} already exists`);
+  }
+
+  const fields = validateFields(body, { requireAll: true });
+  const now = new Date().toISOString();
+  return getProfileStore().put({
+    id,
+    name: fields.name,
+    urls: fields.urls,
+    options: fields.options || normalizeOptions({}),
+    history: null,
+    createdAt: now,
+    updatedAt: now
+  });
+};
+
+const getProfile = (id) => {
+  const profile = getProfileStore().get(assertProfileId(id));
+  if (!profile) {
+    throw new HttpError(404, 'Profile not found');
+  }
+  return profile;
+};
+
+const updateProfile = (id, body = {}) => {
+  const profile = getProfile(id);
+  const fields = validateFields(body, { requireAll: false });
+  return getProfileStore().put({ ...profile, ...fields, updatedAt: new Date().toISOString() });
+};
+
+const deleteProfile = (id) => {
+  if (!getProfileStore().remove(assertProfileId(id))) {
+    throw new HttpError(404, 'Profile not found');
+  }
+};
+
+const listProfiles = () => {
+  const profiles = getProfileStore().list()
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  return { profiles, total: profiles.length };
+};
+
+// Remember what an uploaded history looked like when it was run with a saved
+// profile. Uploads may name any feedback profile, so unknown ids are ignored.
+const recordHistorySummary = (id, summary) => {
+  const profile = getProfileStore().get(id);
+  if (!profile) return null;
+  return getProfileStore().put({ ...profile, history: summary, updatedAt: new Date().toISOString() });
+};
+
+module.exports = {
+  createProfile,
+  getProfile,
+  updateProfile,
+  deleteProfile,
+  listProfiles,
+  recordHistorySummary
+};
@@ -0,0 +1,159 @@
+const path = require('path');
+const config = require('../config');
+const JsonFileStore = require('../utils/jsonFileStore');
+const { QuotaExceededError } = require('../utils/errors');
+
+// Documented unit cost of each YouTube Data API endpoint we call
+const QUOTA_COSTS = {
+  'search.list': 100,
+  'videos.list': 1,
+  'channels.list': 1,
+  'playlists.list': 1,
+  'playlistItems.list': 1,
+  'playlists.insert': 50,
+  'playlistItems.insert': 50
+};
+
+// YouTube quota days start at midnight Pacific time
+const QUOTA_TIME_ZONE = 'America/Los_Angeles';
+const HISTORY_DAYS = 30;
+
+const dayFormatter = new Intl.DateTimeFormat('en-CA', {
+  timeZone: QUOTA_TIME_ZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+});
+
+const offsetFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: QUOTA_TIME_ZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: 'numeric',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: 'numeric'
+});
+
+const getQuotaDay = (date = new Date()) => dayFormatter.format(date);
+
+// UTC instant of the next midnight in the quota time zone
+const getNextReset = (date = new Date()) => {
+  const [year, month, day] = getQuotaDay(date).split('-').map(Number);
+  const midnightUtc = Date.UTC(year, month - 1, day + 1);
+
+  // Offset of the zone just before its midnight (DST changes happen at 2am)
+  const probe = new Date(midnightUtc + 7 * 3600 * 1000);
+  const parts = Object.fromEntries(
+    offsetFormatter.formatToParts(probe).map(part => [part.type, part.value])
+  );
+  const wallTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  const offset = wallTime - probe.getTime();
+
+  return new Date(midnightUtc - offset);
+};
+
+class QuotaLedger {
+  constructor({ store, budget }) {
+    this.store = store;
+    this.budget = budget;
+    this.data = store.read();
+  }
+
+  today() {
+    const day = getQuotaDay();
+    if (!this.data.days[day]) {
+      this.data.days[day] = { total: 0, byEndpoint: {} };
+
+      // Keep a month of history and drop the rest
+      Object.keys(this.data.days)
+        .sort()
+        .slice(0, -HISTORY_DAYS)
+        .forEach(oldDay => delete this.data.days[oldDay]);
+    }
+    return this.data.days[day];
+  }
+
+  charge(endpoint, units = QUOTA_COSTS[endpoint] || 0) {
+    const usage = this.today();
+    usage.total += units;
+    usage.byEndpoint[endpoint] = (usage.byEndpoint[endpoint] || 0) + units;
+    this.store.write(this.data);
+    return usage.total;
+  }
+
+  remaining() {
+    return Math.max(0, this.budget - this.today().total);
+  }
+
+  // Reject work up front when it could not finish within today's budget
+  assertWithinBudget(estimatedCost) {
+    const remaining = this.remaining();
+    if (estimatedCost <= remaining) return;
+
+    throw new QuotaExceededError(
+      'Daily YouTube API quota budget exhausted. Please try again after the daily reset.',
+      {
+        estimatedCost,
+        remaining,
+        budget: this.budget,
+        resetsAt: getNextReset().toISOString()
+      }
+    );
+  }
+
+  getUsage() {
+    const usage = this.today();
+    return {
+      day: getQuotaDay(),
+      timeZone: QUOTA_TIME_ZONE,
+      budget: this.budget,
+      used: usage.total,
+      remaining: this.remaining(),
+      byEndpoint: usage.byEndpoint,
+      resetsAt: getNextReset().toISOString(),
+      costs: QUOTA_COSTS
+    };
+  }
+}
+
+// Worst-case cost of one fetch round: a search per seed, a second (keyword)
+// search when auto mode may fall back, and hydrating the up to 50 results of
+// each search
+const estimateRoundCost = (seedCount, { keywordFallback = false } = {}) =>
+  seedCount * (keywordFallback ? 2 : 1) * (QUOTA_COSTS['search.list'] + QUOTA_COSTS['videos.list']);
+
+// Worst-case cost of starting a recommendation page: a details lookup per
+// seed plus the first fetch round. Later rounds are checked as they start.
+const estimateRecommendationCost = (seedCount, { keywordFallback = false } = {}) =>
+  seedCount * QUOTA_COSTS['videos.list'] + estimateRoundCost(seedCount, { keywordFallback });
+
+// Worst-case cost of expanding playlist and channel seeds: every page of a
+// playlist up to maxItems, and for a channel up to two lookups (custom names
+// try username, then handle) and one page of uploads
+const estimateSeedResolutionCost = ({ playlists = 0, channels = 0, playlistMaxItems = 200 }) =>
+  playlists * Math.ceil(playlistMaxItems / 50) * QUOTA_COSTS['playlistItems.list'] +
+  channels * (2 * QUOTA_COSTS['channels.list'] + QUOTA_COSTS['playlistItems.list']);
+
+let ledger = null;
+
+const getQuotaLedger = () => {
+  if (!ledger) {
+    ledger = new QuotaLedger({
+      store: new JsonFileStore(path.join(config.dataDir, 'quota.json'), { days: {} }),
+      budget: config.quotaDailyBudget
+    });
+  }
+  return ledger;
+};
+
+module.exports = {
+  QUOTA_COSTS,
+  QuotaLedger,
+  getQuotaDay,
+  getNextReset,
+  estimateRoundCost,
+  estimateRecommendationCost,
+  estimateSeedResolutionCost,
+  getQuotaLedger
+};
@@ -0,0 +1,197 @@
+const { parseDuration } = require('../utils/duration');
+const { DEFAULT_OPTIONS, shortsDurationLimit } = require('./videoFilters');
+
+const extractKeywords = (title, description = '') => {
+  const text = `${title} ${(description || '').slice(0, 100)}`;
+  return text.toLowerCase()
+    .replace(/[^\w\s]/g, '')
+    .split(/\s+/)
+    .filter(word => word.length > 2 && !commonWords.has(word));
+};
+
+// Score each component separately so clients can see why a video was suggested.
+// Short videos are only penalized when the request left their fate to the
+// default Shorts rule.
+const calculateScoreBreakdown = (video, sourceVideo, keywords, { penalizeShort = true } = {}) => {
+  const breakdown = {
+    keywordMatch: 0,
+    channelDiversity: 0,
+    duration: 0,
+    popularity: 0,
+    engagement: 0,
+    recency: 0,
+    variety: 0
+  };
+
+  // Title relevance (0-0.3)
+  const titleWords = new Set(
+    video.snippet.title.toLowerCase().replace(/[^\w\s]/g, '').split(/\s+/)
+  );
+  const keywordMatches = keywords.filter(keyword =>
+    titleWords.has(keyword.toLowerCase())
+  ).length;
+  if (keywords.length > 0) {
+    breakdown.keywordMatch = (keywordMatches / keywords.length) * 0.3;
+  }
+
+  // Channel diversity (-0.2 to 0.1)
+  if (video.snippet.channelId === sourceVideo.snippet.channelId) {
+    breakdown.channelDiversity = -0.2;
+  } else {
+    breakdown.channelDiversity = 0.1;
+  }
+
+  // More aggressive duration-based scoring
+  if (video.contentDetails) {
+    const duration = parseDuration(video.contentDetails.duration);
+    if (penalizeShort && duration < 180) { // Strongly penalize videos under 3 minutes
+      breakdown.duration = -0.5;
+    } else if (penalizeShort && duration < 300) { // Slightly penalize videos under 5 minutes
+      breakdown.duration = -0.2;
+    } else if (duration > 600 && duration < 3600) { // Bonus for videos 10-60 minutes
+      breakdown.duration = 0.2;
+    }
+  }
+
+  // Popularity and recency scoring
+  if (video.statistics) {
+    const viewCount = parseInt(video.statistics.viewCount) || 0;
+    const likeCount = parseInt(video.statistics.likeCount) || 0;
+
+    // Calculate popularity score (0-0.4)
+    if (viewCount > 0) {
+      breakdown.popularity = Math.min(0.4, Math.log10(viewCount) / 10);
+    }
+
+    // Calculate engagement score based on like ratio (0-0.2)
+    if (viewCount > 0) {
+      breakdown.engagement = Math.min(0.2, (likeCount / viewCount) * 100);
+    }
+
+    // Very popular videos (>1M views) get a bonus and bypass recency penalty
+    const isVeryPopular = viewCount > 1000000;
+
+    // Recency scoring (-0.3 to 0.2)
+    const publishedAt = new Date(video.snippet.publishedAt);
+    const ageInDays = (Date.now() - publishedAt.getTime()) / (1000 * 60 * 60 * 24);
+
+    if (!isVeryPopular) {
+      if (ageInDays > 365) { // Older than a year
+        breakdown.recency = -0.3;
+      } else if (ageInDays < 30) { // Less than a month old
+        breakdown.recency = 0.2;
+      } else if (ageInDays < 90) { // Less than 3 months old
+        breakdown.recency = 0.1;
+      }
+    } else {
+      // Bonus for very popular videos
+      breakdown.popularity += 0.3;
+    }
+  }
+
+  // Random factor for variety (0-0.1)
+  breakdown.variety = Math.random() * 0.1;
+
+  return breakdown;
+};
+
+const sumBreakdown = (breakdown) =>
+  Object.values(breakdown).reduce((total, value) => total + value, 0);
+
+const calculateRelevanceScore = (video, sourceVideo, keywords, options) =>
+  sumBreakdown(calculateScoreBreakdown(video, sourceVideo, keywords, options));
+
+const roundScore = (value) => Math.round(value * 1000) / 1000;
+
+// Boost for videos several seeds agree on. Each seed's hit counts for more the
+// higher it ranked in that seed's results (1 at the top, 0.5 at position 11);
+// the strongest hit is the candidate's own source, so only the others count.
+const CO_OCCURRENCE_WEIGHT = 0.15;
+
+const seedHitStrength = (hit) => 1 / (1 + (hit.position - 1) / 10);
+
+const calculateCoOccurrence = (seedHits = []) => {
+  const strengths = seedHits.map(seedHitStrength).sort((a, b) => b - a);
+  return strengths.slice(1).reduce((total, strength) => total + strength, 0) * CO_OCCURRENCE_WEIGHT;
+};
+
+// Score every hydrated candidate against the seed that surfaced it and sort by
+// score. An optional feedbackScorer (see feedbackService) adds the user's own
+// likes and dislikes as a "feedback" component.
+const rankCandidates = (candidates, { feedbackScorer = null, filters = DEFAULT_OPTIONS } = {}) => {
+  const keywordsBySeed = new Map();
+  const penalizeShort = shortsDurationLimit(filters) !== null;
+
+  return candidates
+    .map(candidate => {
+      const { seed } = candidate;
+      if (!keywordsBySeed.has(seed.id)) {
+        keywordsBySeed.set(seed.id, extractKeywords(seed.snippet.title, seed.snippet.description));
+      }
+
+      const breakdown = calculateScoreBreakdown(candidate.video, seed, keywordsBySeed.get(seed.id), { penalizeShort });
+      breakdown.coOccurrence = calculateCoOccurrence(candidate.seeds);
+      if (feedbackScorer) breakdown.feedback = feedbackScorer(candidate.video);
+      Object.keys(breakdown).forEach(key => {
+        breakdown[key] = roundScore(breakdown[key]);
+      });
+
+      return {
+        ...candidate,
+        score: roundScore(sumBreakdown(breakdown)),
+        scoreBreakdown: breakdown
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+};
+
+const shuffleWithRelevance = (videos) => {
+  if (videos.length === 0) return [];
+
+  const chunks = [];
+  const chunkSize = Math.ceil(videos.length / 3);
+
+  // Split into chunks by relevance
+  for (let i = 0; i < videos.length; i += chunkSize) {
+    chunks.push(videos.slice(i, i + chunkSize));
+  }
+
+  // Shuffle within each chunk
+  chunks.forEach(chunk => {
+    for (let i = chunk.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [chunk[i], chunk[j]] = [chunk[j], chunk[i]];
+    }
+  });
+
+  // Interleave chunks
+  const result = [];
+  const maxLength = Math.max(...chunks.map(chunk => chunk.length));
+  for (let i = 0; i < maxLength; i++) {
+    chunks.forEach(chunk => {
+      if (chunk[i]) result.push(chunk[i]);
+    });
+  }
+
+  return result;
+};
+
+const commonWords = new Set([
+  'the', 'be', 'to', 'of', 'and', 'a', 'in', 'that', 'have', 'i', 'it', 'for',
+  'not', 'on', 'with', 'he', 'as', 'you', 'do', 'at', 'this', 'but', 'his',
+  'by', 'from', 'they', 'we', 'say', 'her', 'she', 'or', 'an', 'will', 'my',
+  'one', 'all', 'would', 'there', 'their', 'what', 'so', 'up', 'out', 'if',
+  'about', 'who', 'get', 'which', 'go', 'me', 'vs', 'new', 'review', 'best',
+  'top', 'how', 'why', 'when', 'where', 'what', 'latest', 'update', 'official',
+  'full', 'video', 'watch', 'first', 'look', 'hands', 'unboxing'
+]);
+
+module.exports = {
+  extractKeywords,
+  calculateScoreBreakdown,
+  calculateRelevanceScore,
+  calculateCoOccurrence,
+  rankCandidates,
+  shuffleWithRelevance,
+  commonWords
+};
@@ -0,0 +1,193 @@
+const YouTubeService = require('./youtubeService');
+const ChannelService = require('./channelService');
+const { normalizeOptions } = require('./videoFilters');
+const { assertProfileId } = require('./feedbackService');
+const { recordRun, getRun } = require('./runService');
+const { getProfile } = require('./profileService');
+const { parseYouTubeInput } = require('../utils/youtubeIdentifiers');
+const { HttpError, ValidationError } = require('../utils/errors');
+
+// Runs may name a feedback profile whose likes and dislikes adjust the ranking
+const readProfileId = (value) => (value === undefined || value === null || value === '' ? null : assertProfileId(value));
+
+// Validate the seed inputs shared by the video and channel modes. A playlist
+// or channel counts as a single input however many videos it holds.
+const checkSeedInputs = (urls) => {
+  if (!Array.isArray(urls) || urls.length === 0) {
+    throw new ValidationError('Please provide valid YouTube URLs');
+  }
+
+  if (urls.length > 5) {
+    throw new ValidationError('Maximum 5 URLs, playlists or channels allowed at once for better recommendations');
+  }
+
+  // Check every input up front so each bad one can be reported on its own
+  const parsed = urls.map(parseYouTubeInput);
+  const details = parsed
+    .map((result, index) => (result.type
+      ? null
+      : { index, input: urls[index], type: null, error: result.error }))
+    .filter(Boolean);
+
+  if (details.length > 0) {
+    throw new ValidationError(
+      details.length === urls.length
+        ? 'None of the inputs are YouTube links or IDs'
+        : `${details.length} of ${urls.length} inputs could not be used`,
+      details
+    );
+  }
+
+  return parsed;
+};
+
+// Video recommendations for a set of seed URLs, playlists or channels. The
+// first page of every successful run is saved and its id returned as runId;
+// later pages continue that run, so they are not saved again and have no
+// runId of their own.
+const recommendVideos = async ({ urls, options, pageToken, shuffle, profileId, rerunOf = null }) => {
+  const parsed = checkSeedInputs(urls);
+  // Throws a ValidationError listing every bad option
+  const filters = normalizeOptions(options);
+  profileId = readProfileId(profileId);
+
+  // Playlists and channels are expanded into a sample of their videos
+  const { seedIds, playlists, channels } = await YouTubeService.resolveSeedInputs(parsed);
+
+  console.log(`Processing ${seedIds.length} videos with pageToken: ${pageToken || 'none'}`);
+
+  // Get recommendations with pagination support
+  const result = await YouTubeService.processVideoUrls(seedIds, {
+    pageToken,
+    shuffle: shuffle === true,
+    filters,
+    profileId
+  });
+
+  // An empty follow-up page just means every seed has run out
+  if (!pageToken && (!result.items || result.items.length === 0)) {
+    throw new HttpError(404, 'No recommendations found. Try different videos.');
+  }
+
+  // Log some stats about the recommendations
+  const channelStats = YouTubeService.groupByChannel(result.items);
+
+  console.log('Recommendation stats:', {
+    totalVideos: result.items.length,
+    uniqueChannels: channelStats.size,
+    channelDistribution: Array.from(channelStats.values())
+      .map(videos => `${videos.length} videos`)
+      .join(', ')
+  });
+
+  const stats = {
+    seedVideos: seedIds.length,
+    // Candidates dropped by the options, by reason
+    filteredOut: result.filteredOut,
+    uniqueChannels: channelStats.size,
+    videosPerChannel: channelStats.size
+      ? Math.round(result.items.length / channelStats.size * 10) / 10
+      : 0
+  };
+
+  const run = pageToken ? null : recordRun({
+    kind: 'videos',
+    profileId,
+    rerunOf,
+    inputs: { urls, options: filters, shuffle: shuffle === true },
+    output: { items: result.items, nextPageToken: result.nextPageToken, seedIds, stats }
+  });
+
+  return {
+    runId: run ? run.id : null,
+    recommendations: result.items,
+    nextPageToken: result.nextPageToken,
+    total: result.items.length,
+    playlists,
+    channels,
+    options: filters,
+    stats
+  };
+};
+
+// Channel recommendations for the same kinds of seeds; channels given as
+// seeds are never recommended back
+const recommendSimilarChannels = async ({ urls, options, limit, profileId, rerunOf = null }) => {
+  const parsed = checkSeedInputs(urls);
+
+  if (limit !== undefined && limit !== null && !(Number.isInteger(limit) && limit > 0 && limit <= 50)) {
+    throw new ValidationError('limit must be a whole number between 1 and 50');
+  }
+
+  const filters = normalizeOptions(options);
+  profileId = readProfileId(profileId);
+
+  const { seedIds, playlists, channels: seedChannels } = await YouTubeService.resolveSeedInputs(parsed);
+  const channels = await ChannelService.recommendChannels(seedIds, {
+    excludeChannelIds: seedChannels.map(channel => channel.channelId),
+    limit: limit ?? undefined,
+    filters,
+    profileId
+  });
+
+  if (channels.length === 0) {
+    throw new HttpError(404, 'No channel recommendations found. Try different videos or channels.');
+  }
+
+  const run = recordRun({
+    kind: 'channels',
+    profileId,
+    rerunOf,
+    inputs: { urls, options: filters, limit: limit ?? null },
+    output: { items: channels, seedIds }
+  });
+
+  return {
+    runId: run.id,
+    channels,
+    total: channels.length,
+    options: filters,
+    seeds: {
+      videos: seedIds,
+      playlists,
+      channels: seedChannels
+    }
+  };
+};
+
+// Run a saved run's inputs again. Re-runs always start from the first page,
+// and upload runs cannot be repeated because uploaded files are not kept.
+const rerun = async (runId) => {
+  const run = getRun(runId);
+  if (!run) {
+    throw new HttpError(404, 'Run not found. It may have been dropped from the history.');
+  }
+
+  const { urls, options, shuffle, limit } = run.inputs;
+  switch (run.kind) {
+    case 'videos':
+      return recommendVideos({ urls, options, shuffle, profileId: run.profileId, rerunOf: run.id });
+    case 'channels':
+      return recommendSimilarChannels({ urls, options, limit, profileId: run.profileId, rerunOf: run.id });
+    default:
+      throw new HttpError(409, 'Upload runs cannot be re-run; upload the history file again instead.');
+  }
+};
+
+// Run a saved profile's seeds and options as video or channel recommendations
+const runProfile = async (profileId, { mode = 'videos', limit } = {}) => {
+  const profile = getProfile(profileId);
+  const inputs = { urls: profile.urls, options: profile.options, profileId: profile.id };
+
+  if (mode === 'channels') return recommendSimilarChannels({ ...inputs, limit });
+  if (mode === 'videos') return recommendVideos(inputs);
+  throw new ValidationError('mode must be "videos" or "channels"');
+};
+
+module.exports = {
+  readProfileId,
+  recommendVideos,
+  recommendSimilarChannels,
+  rerun,
+  runProfile
+};
@@ -0,0 +1,116 @@
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const JsonFileStore = require('../utils/jsonFileStore');
+const { parseDuration } = require('../utils/duration');
+
+const DEFAULT_LIST_LIMIT = 20;
+
+// topicDetails lists Wikipedia URLs; the article name is the topic
+const topicNames = (item) => ((item.topicDetails && item.topicDetails.topicCategories) || [])
+  .map(url => decodeURIComponent(url.split('/').pop()).replace(/_/g, ' '));
+
+// What a stored run keeps of each recommended video: enough to show, compare
+// and export it later without the full API resource
+const summarizeVideo = (item) => ({
+  id: item.id,
+  title: item.snippet.title,
+  channelId: item.snippet.channelId,
+  channelTitle: item.snippet.channelTitle,
+  publishedAt: item.snippet.publishedAt,
+  durationSeconds: item.contentDetails ? parseDuration(item.contentDetails.duration) : null,
+  categoryId: item.snippet.categoryId || null,
+  tags: item.snippet.tags || [],
+  topics: topicNames(item),
+  thumbnail: item.snippet.thumbnails && item.snippet.thumbnails.default
+    ? item.snippet.thumbnails.default.url
+    : null,
+  sourceVideoId: item.sourceVideoId,
+  seeds: item.seeds,
+  generator: item.generator,
+  score: item.score,
+  scoreBreakdown: item.scoreBreakdown
+});
+
+// Every recommendation run, newest first, persisted under DATA_DIR:
+//   { runs: [{ id, kind, profileId, createdAt, rerunOf, inputs, output }] }
+// kind is "videos", "channels" or "upload". Only the newest
+// config.runs.maxStored runs are kept.
+class RunStore {
+  constructor(store, maxStored) {
+    this.store = store;
+    this.maxStored = maxStored;
+  }
+
+  save(run) {
+    return this.store.update(data => {
+      data.runs.unshift(run);
+      data.runs = data.runs.slice(0, this.maxStored);
+      return run;
+    });
+  }
+
+  get(id) {
+    return this.store.read().runs.find(run => run.id === id) || null;
+  }
+
+  list({ profileId, kind } = {}) {
+    return this.store.read().runs.filter(run =>
+      (!profileId || run.profileId === profileId) && (!kind || run.kind === kind)
+    );
+  }
+}
+
+let runStore = null;
+
+const getRunStore = () => {
+  if (!runStore) {
+    runStore = new RunStore(
+      new JsonFileStore(path.join(config.dataDir, 'runs.json'), { runs: [] }),
+      config.runs.maxStored
+    );
+  }
+  return runStore;
+};
+
+// Persist a finished run. output.items are recommended videos for "videos"
+// and "upload" runs, which are stored summarized; channel runs keep their
+// channels as returned.
+const recordRun = ({ kind, profileId = null, rerunOf = null, inputs, output }) => {
+  const run = {
+    id: crypto.randomUUID(),
+    kind,
+    profileId,
+    createdAt: new Date().toISOString(),
+    rerunOf,
+    inputs,
+    output: {
+      ...output,
+      items: kind === 'channels' ? output.items : output.items.map(summarizeVideo)
+    }
+  };
+
+  getRunStore().save(run);
+  console.log(`Saved ${kind} run ${run.id}${profileId ? ` for profile ${profileId}` : ''}`);
+  return run;
+};
+
+// Runs without their items, newest first
+const listRuns = ({ profileId, kind, limit = DEFAULT_LIST_LIMIT } = {}) => {
+  const runs = getRunStore().list({ profileId, kind });
+  return {
+    runs: runs.slice(0, limit).map(({ output, ...run }) => ({
+      ...run,
+      total: output.items.length
+    })),
+    total: runs.length
+  };
+};
+
+const getRun = (id) => getRunStore().get(id);
+
+module.exports = {
+  recordRun,
+  listRuns,
+  getRun
+};
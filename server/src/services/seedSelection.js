@@ -0,0 +1,146 @@
+const config = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Weights of the per-video signals; channel spread is applied while sampling
+const WEIGHTS = {
+  recency: 0.6,
+  rewatch: 0.4
+};
+
+// Rewatch signal saturates at this many views
+const REWATCH_SATURATION = 4;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Collapse individual watches into one record per video
+const groupByVideo = (watches) => {
+  const videos = new Map();
+
+  watches.forEach(watch => {
+    const time = new Date(watch.time).getTime();
+    if (!watch.videoId || Number.isNaN(time)) return;
+
+    if (!videos.has(watch.videoId)) {
+      videos.set(watch.videoId, {
+        videoId: watch.videoId,
+        title: watch.title,
+        channel: watch.channel,
+        watches: 0,
+        lastWatched: time
+      });
+    }
+
+    const video = videos.get(watch.videoId);
+    video.watches++;
+    if (time > video.lastWatched) video.lastWatched = time;
+  });
+
+  return Array.from(videos.values());
+};
+
+// Score each video on its own merits: how recently and how often it was watched.
+// Age is measured from the newest watch in the history, so an old export is
+// judged by its own timeline rather than today's date.
+const scoreVideos = (videos, { halfLifeDays }) => {
+  const newest = videos.reduce((max, video) => Math.max(max, video.lastWatched), 0);
+
+  return videos.map(video => {
+    const ageDays = (newest - video.lastWatched) / DAY_MS;
+    const recency = Math.pow(0.5, ageDays / halfLifeDays);
+    const rewatch = Math.min(1, (video.watches - 1) / (REWATCH_SATURATION - 1));
+
+    return {
+      ...video,
+      ageDays,
+      scoreBreakdown: {
+        recency: round(recency * WEIGHTS.recency),
+        rewatch: round(rewatch * WEIGHTS.rewatch)
+      },
+      baseScore: recency * WEIGHTS.recency + rewatch * WEIGHTS.rewatch
+    };
+  });
+};
+
+const describeAge = (ageDays, activity) => {
+  if (ageDays < 1) return `${activity} within a day of the newest entry`;
+  if (ageDays < 7) return `${activity} ${Math.round(ageDays)} day(s) before the newest entry`;
+  return `${activity} ${Math.round(ageDays / 7)} week(s) before the newest entry`;
+};
+
+const explain = (video, picksFromChannel, activity) => {
+  const reasons = [describeAge(video.ageDays, activity)];
+  if (video.watches > 1) reasons.push(`${activity} ${video.watches} times`);
+  reasons.push(picksFromChannel === 0
+    ? `first seed from ${video.channel ? video.channel.name : 'an unknown channel'}`
+    : `seed ${picksFromChannel + 1} from ${video.channel.name}, score reduced for channel spread`);
+  return reasons;
+};
+
+// Pick a diverse set of seed videos from watch history.
+//
+// watches: [{ videoId, title, time, channel: { name, url } | null }]
+// activity names what the times mean in the reasons ('watched', 'added')
+//
+// Sampling is greedy: each round takes the best remaining video after its
+// score is divided by one plus the number of seeds already taken from its
+// channel, and no channel may contribute more than maxPerChannel seeds.
+// The result is deterministic so the same history always yields the same
+// seeds (and therefore compatible page tokens).
+const selectSeeds = (watches, {
+  size = config.seeds.size,
+  halfLifeDays = config.seeds.halfLifeDays,
+  maxPerChannel = config.seeds.maxPerChannel,
+  activity = 'watched'
+} = {}) => {
+  const candidates = scoreVideos(groupByVideo(watches), { halfLifeDays });
+  const channelKey = (video) => (video.channel ? video.channel.url || video.channel.name : null);
+  const perChannel = new Map();
+  const seeds = [];
+  let remaining = candidates;
+
+  while (seeds.length < size && remaining.length > 0) {
+    let best = null;
+    remaining.forEach(video => {
+      const key = channelKey(video);
+      const taken = key ? perChannel.get(key) || 0 : 0;
+      if (key && taken >= maxPerChannel) return;
+
+      const score = video.baseScore / (1 + taken);
+      if (!best || score > best.score || (score === best.score && video.lastWatched > best.video.lastWatched)) {
+        best = { video, score, taken };
+      }
+    });
+
+    if (!best) break;
+
+    const { video, score, taken } = best;
+    const key = channelKey(video);
+    if (key) perChannel.set(key, taken + 1);
+    remaining = remaining.filter(other => other !== video);
+
+    seeds.push({
+      videoId: video.videoId,
+      title: video.title,
+      channelName: video.channel ? video.channel.name : null,
+      watches: video.watches,
+      lastWatched: new Date(video.lastWatched).toISOString(),
+      score: round(score),
+      scoreBreakdown: {
+        ...video.scoreBreakdown,
+        channelSpread: round(score - video.baseScore)
+      },
+      reasons: explain(video, taken, activity)
+    });
+  }
+
+  return {
+    seeds,
+    candidates: candidates.length,
+    uniqueChannels: perChannel.size
+  };
+};
+
+module.exports = {
+  selectSeeds
+};
@@ -0,0 +1,179 @@
+const { getRun } = require('./runService');
+const { HttpError } = require('../utils/errors');
+
+// Names of YouTube's standard video categories (videoCategories.list would
+// cost quota and differs only slightly between regions)
+const CATEGORY_NAMES = {
+  1: 'Film & Animation',
+  2: 'Autos & Vehicles',
+  10: 'Music',
+  15: 'Pets & Animals',
+  17: 'Sports',
+  18: 'Short Movies',
+  19: 'Travel & Events',
+  20: 'Gaming',
+  21: 'Videoblogging',
+  22: 'People & Blogs',
+  23: 'Comedy',
+  24: 'Entertainment',
+  25: 'News & Politics',
+  26: 'Howto & Style',
+  27: 'Education',
+  28: 'Science & Technology',
+  29: 'Nonprofits & Activism',
+  30: 'Movies',
+  31: 'Anime/Animation',
+  32: 'Action/Adventure',
+  33: 'Classics',
+  35: 'Documentary',
+  36: 'Drama',
+  37: 'Family',
+  38: 'Foreign',
+  39: 'Horror',
+  40: 'Sci-Fi/Fantasy',
+  41: 'Thriller',
+  42: 'Shorts',
+  43: 'Shows',
+  44: 'Trailers'
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// A snapshot is any saved run that recommended videos
+const loadSnapshot = (id) => {
+  const run = getRun(id);
+  if (!run) {
+    throw new HttpError(404, `Snapshot ${id} not found. It may have been dropped from the history.`);
+  }
+  if (run.kind === 'channels') {
+    throw new HttpError(409, `Snapshot ${id} recommends channels, not videos, and cannot be compared`);
+  }
+  return run;
+};
+
+// Share of the list in each bucket; a video can count towards several
+// buckets (topics), so shares need not add up to 1
+const distribution = (items, bucketsOf) => {
+  const counts = new Map();
+  items.forEach(item => bucketsOf(item).forEach(bucket => {
+    counts.set(bucket, (counts.get(bucket) || 0) + 1);
+  }));
+  return new Map(Array.from(counts.entries()).map(([bucket, count]) => [bucket, count / (items.length || 1)]));
+};
+
+// Before/after share of every bucket in either list, biggest change first
+const compareDistributions = (before, after, describe) =>
+  Array.from(new Set([...before.keys(), ...after.keys()]))
+    .map(bucket => ({
+      ...describe(bucket),
+      before: round(before.get(bucket) || 0),
+      after: round(after.get(bucket) || 0),
+      change: round((after.get(bucket) || 0) - (before.get(bucket) || 0))
+    }))
+    .sort((a, b) => Math.abs(b.change) - Math.abs(a.change) || b.after - a.after);
+
+const byChannel = (items) => {
+  const channels = new Map();
+  items.forEach(item => {
+    if (!channels.has(item.channelId)) {
+      channels.set(item.channelId, { channelId: item.channelId, title: item.channelTitle, videos: 0 });
+    }
+    channels.get(item.channelId).videos += 1;
+  });
+  return channels;
+};
+
+const averageScore = (items) =>
+  (items.length ? round(items.reduce((sum, item) => sum + item.score, 0) / items.length) : null);
+
+const describeRun = ({ output, ...run }) => ({
+  id: run.id,
+  kind: run.kind,
+  profileId: run.profileId,
+  createdAt: run.createdAt,
+  total: output.items.length
+});
+
+// Compare two saved recommendation lists: which videos came and went, how
+// the ones in both moved (rank 1 is the top), which channels churned and how
+// the mix of categories and topics shifted from a to b
+const diffSnapshots = (aId, bId) => {
+  const a = loadSnapshot(aId);
+  const b = loadSnapshot(bId);
+  const before = a.output.items;
+  const after = b.output.items;
+
+  const rankBefore = new Map(before.map((item, index) => [item.id, index + 1]));
+  const rankAfter = new Map(after.map((item, index) => [item.id, index + 1]));
+  const entry = (item, rank) => ({ id: item.id, title: item.title, channelTitle: item.channelTitle, rank });
+
+  const added = after
+    .filter(item => !rankBefore.has(item.id))
+    .map(item => entry(item, rankAfter.get(item.id)));
+  const removed = before
+    .filter(item => !rankAfter.has(item.id))
+    .map(item => entry(item, rankBefore.get(item.id)));
+  // Positive change means the video moved up the list
+  const kept = after
+    .filter(item => rankBefore.has(item.id))
+    .map(item => ({
+      id: item.id,
+      title: item.title,
+      channelTitle: item.channelTitle,
+      from: rankBefore.get(item.id),
+      to: rankAfter.get(item.id),
+      change: rankBefore.get(item.id) - rankAfter.get(item.id)
+    }));
+
+  const channelsBefore = byChannel(before);
+  const channelsAfter = byChannel(after);
+  const allChannels = new Set([...channelsBefore.keys(), ...channelsAfter.keys()]);
+  const newChannels = Array.from(channelsAfter.values()).filter(channel => !channelsBefore.has(channel.channelId));
+  const droppedChannels = Array.from(channelsBefore.values()).filter(channel => !channelsAfter.has(channel.channelId));
+
+  const union = new Set([...rankBefore.keys(), ...rankAfter.keys()]).size;
+
+  return {
+    a: describeRun(a),
+    b: describeRun(b),
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      kept: kept.length,
+      // Share of all videos in either list that appear in both
+      overlap: union ? round(kept.length / union) : 0,
+      averageScore: {
+        before: averageScore(before),
+        after: averageScore(after)
+      }
+    },
+    added,
+    removed,
+    moved: kept
+      .filter(item => item.change !== 0)
+      .sort((x, y) => Math.abs(y.change) - Math.abs(x.change) || x.to - y.to),
+    unchanged: kept.filter(item => item.change === 0).length,
+    channels: {
+      added: newChannels,
+      removed: droppedChannels,
+      kept: allChannels.size - newChannels.length - droppedChannels.length,
+      // Share of all channels in either list that are only in one of them
+      churn: allChannels.size ? round((newChannels.length + droppedChannels.length) / allChannels.size) : 0
+    },
+    categories: compareDistributions(
+      distribution(before, item => [item.categoryId || 'unknown']),
+      distribution(after, item => [item.categoryId || 'unknown']),
+      categoryId => ({ categoryId, name: CATEGORY_NAMES[categoryId] || null })
+    ),
+    // Runs saved before topics were recorded have none
+    topics: compareDistributions(
+      distribution(before, item => item.topics || []),
+      distribution(after, item => item.topics || []),
+      topic => ({ topic })
+    )
+  };
+};
+
+module.exports = {
+  diffSnapshots
+};
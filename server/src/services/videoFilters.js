@@ -0,0 +1,206 @@
+const config = require('../config');
+const { parseDuration } = require('../utils/duration');
+const { ValidationError } = require('../utils/errors');
+
+const SAFE_SEARCH_LEVELS = ['none', 'moderate', 'strict'];
+// Candidate generators: related-video search, keyword search, or related
+// with an automatic keyword fallback
+const GENERATORS = ['auto', 'related', 'keywords'];
+// Videos shorter than this count as Shorts unless the request set its own
+// minimum duration
+const SHORTS_MAX_SECONDS = 180;
+
+// What a request gets when it sends no options: long-form, on-demand videos
+// with no region, language or safe-search restriction, from related videos
+// with a keyword-search fallback, re-ranked with the configured diversity
+const DEFAULT_OPTIONS = {
+  minDurationSeconds: null,
+  maxDurationSeconds: null,
+  includeShorts: false,
+  includeLive: false,
+  regionCode: null,
+  relevanceLanguage: null,
+  safeSearch: 'none',
+  publishedAfter: null,
+  excludeMadeForKids: false,
+  generator: 'auto',
+  // Re-ranking: 0 is pure relevance, 1 is as varied as possible
+  diversity: config.ranking.diversity,
+  maxPerChannel: config.ranking.maxPerChannel
+};
+
+// Below this many seconds a video is taken for a Short by length alone, or
+// null when the request's own duration options decide instead
+const shortsDurationLimit = (options = DEFAULT_OPTIONS) =>
+  (options.includeShorts || options.minDurationSeconds !== null ? null : SHORTS_MAX_SECONDS);
+
+const isYoutubeShort = (video, maxSeconds = SHORTS_MAX_SECONDS) => {
+  // More aggressive Shorts detection
+  if (!video.contentDetails || !video.snippet) return true; // Reject if missing details
+
+  const duration = parseDuration(video.contentDetails.duration);
+  if (maxSeconds !== null && duration < maxSeconds) return true; // Too short to be anything else
+
+  // Check for shorts indicators in title, description, and tags
+  const shortsKeywords = ['#shorts', '#short', '#ytshorts', 'shorts/', '/shorts', 'youtube.com/shorts'];
+  const textContent = `${video.snippet.title} ${video.snippet.description} ${(video.snippet.tags || []).join(' ')}`.toLowerCase();
+  if (shortsKeywords.some(keyword => textContent.includes(keyword))) return true;
+
+  // Check URL format
+  if (video.id && typeof video.id === 'string' && video.id.includes('/shorts/')) return true;
+
+  // Check for vertical video format
+  if (video.contentDetails && video.contentDetails.dimension) {
+    const { height, width } = video.contentDetails.dimension;
+    if (height > width) return true;
+  }
+
+  return false;
+};
+
+const isLiveOrUpcoming = (video) =>
+  ['live', 'upcoming'].includes(video.snippet && video.snippet.liveBroadcastContent);
+
+// Validate a request's options object and fill in defaults. Every problem is
+// reported at once as { option, error } entries in the error details.
+const normalizeOptions = (raw = {}) => {
+  if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new ValidationError('options must be an object');
+  }
+
+  const options = { ...DEFAULT_OPTIONS };
+  const errors = [];
+  const reject = (option, error) => errors.push({ option, error });
+
+  Object.keys(raw).forEach(option => {
+    if (!Object.hasOwn(DEFAULT_OPTIONS, option)) reject(option, 'Unknown option');
+  });
+
+  ['minDurationSeconds', 'maxDurationSeconds'].forEach(option => {
+    if (raw[option] === undefined || raw[option] === null) return;
+    if (!Number.isInteger(raw[option]) || raw[option] < 0) {
+      reject(option, 'Must be a whole number of seconds, 0 or more');
+    } else {
+      options[option] = raw[option];
+    }
+  });
+  if (options.minDurationSeconds !== null && options.maxDurationSeconds !== null &&
+      options.minDurationSeconds > options.maxDurationSeconds) {
+    reject('maxDurationSeconds', 'Must not be less than minDurationSeconds');
+  }
+
+  ['includeShorts', 'includeLive', 'excludeMadeForKids'].forEach(option => {
+    if (raw[option] === undefined) return;
+    if (typeof raw[option] !== 'boolean') reject(option, 'Must be true or false');
+    else options[option] = raw[option];
+  });
+
+  if (raw.regionCode !== undefined && raw.regionCode !== null) {
+    if (typeof raw.regionCode !== 'string' || !/^[A-Za-z]{2}$/.test(raw.regionCode)) {
+      reject('regionCode', 'Must be a two-letter ISO 3166-1 country code, e.g. "US"');
+    } else {
+      options.regionCode = raw.regionCode.toUpperCase();
+    }
+  }
+
+  if (raw.relevanceLanguage !== undefined && raw.relevanceLanguage !== null) {
+    if (typeof raw.relevanceLanguage !== 'string' || !/^[a-z]{2,3}(-[A-Za-z]{2,4})?$/i.test(raw.relevanceLanguage)) {
+      reject('relevanceLanguage', 'Must be an ISO 639-1 language code, e.g. "en" or "zh-Hans"');
+    } else {
+      options.relevanceLanguage = raw.relevanceLanguage;
+    }
+  }
+
+  if (raw.safeSearch !== undefined) {
+    if (!SAFE_SEARCH_LEVELS.includes(raw.safeSearch)) {
+      reject('safeSearch', `Must be one of: ${SAFE_SEARCH_LEVELS.join(', ')}`);
+    } else {
+      options.safeSearch = raw.safeSearch;
+    }
+  }
+
+  if (raw.diversity !== undefined) {
+    if (typeof raw.diversity !== 'number' || !(raw.diversity >= 0 && raw.diversity <= 1)) {
+      reject('diversity', 'Must be a number from 0 (relevance) to 1 (novelty)');
+    } else {
+      options.diversity = raw.diversity;
+    }
+  }
+
+  if (raw.maxPerChannel !== undefined) {
+    if (!Number.isInteger(raw.maxPerChannel) || raw.maxPerChannel < 1) {
+      reject('maxPerChannel', 'Must be a whole number, 1 or more');
+    } else {
+      options.maxPerChannel = raw.maxPerChannel;
+    }
+  }
+
+  if (raw.generator !== undefined) {
+    if (!GENERATORS.includes(raw.generator)) {
+      reject('generator', `Must be one of: ${GENERATORS.join(', ')}`);
+    } else {
+      options.generator = raw.generator;
+    }
+  }
+
+  if (raw.publishedAfter !== undefined && raw.publishedAfter !== null) {
+    const time = typeof raw.publishedAfter === 'string' ? Date.parse(raw.publishedAfter) : NaN;
+    if (Number.isNaN(time)) {
+      reject('publishedAfter', 'Must be a date, e.g. "2024-01-01" or "2024-01-01T00:00:00Z"');
+    } else if (time > Date.now()) {
+      reject('publishedAfter', 'Must not be in the future');
+    } else {
+      options.publishedAfter = new Date(time).toISOString();
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid recommendation options', errors);
+  }
+
+  return options;
+};
+
+// The part of the options YouTube can apply itself, as search.list parameters
+const toSearchParams = (options = DEFAULT_OPTIONS) => {
+  const params = { safeSearch: options.safeSearch };
+  if (options.regionCode) params.regionCode = options.regionCode;
+  if (options.relevanceLanguage) params.relevanceLanguage = options.relevanceLanguage;
+  if (options.publishedAfter) params.publishedAfter = options.publishedAfter;
+  return params;
+};
+
+// Why a hydrated video fails the options, or null when it passes. Search
+// parameters are only hints to YouTube, so everything is checked again here.
+const filterReason = (video, options = DEFAULT_OPTIONS) => {
+  // Live and upcoming streams report no real duration, so only the live
+  // option decides whether they stay
+  const live = isLiveOrUpcoming(video);
+  if (live && !options.includeLive) return 'live';
+
+  if (!live) {
+    if (!options.includeShorts && isYoutubeShort(video, shortsDurationLimit(options))) return 'shorts';
+
+    const duration = video.contentDetails ? parseDuration(video.contentDetails.duration) : 0;
+    if (options.minDurationSeconds !== null && duration < options.minDurationSeconds) return 'duration';
+    if (options.maxDurationSeconds !== null && duration > options.maxDurationSeconds) return 'duration';
+  }
+
+  if (options.publishedAfter &&
+      new Date(video.snippet.publishedAt).getTime() < new Date(options.publishedAfter).getTime()) {
+    return 'publishedBefore';
+  }
+
+  if (options.excludeMadeForKids && video.status && video.status.madeForKids) return 'madeForKids';
+
+  return null;
+};
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  isYoutubeShort,
+  shortsDurationLimit,
+  normalizeOptions,
+  toSearchParams,
+  filterReason
+};
@@ -0,0 +1,145 @@
+const config = require('../config');
+const { getRun } = require('./runService');
+const { getAccessToken } = require('./oauthService');
+const { QUOTA_COSTS, getQuotaLedger } = require('./quotaService');
+const { HttpError, ValidationError } = require('../utils/errors');
+
+// YouTube's own limits on playlist metadata
+const MAX_TITLE_LENGTH = 150;
+const MAX_DESCRIPTION_LENGTH = 5000;
+// Failures that make every remaining insert pointless
+const FATAL_REASONS = ['quotaExceeded', 'authError', 'insufficientPermissions'];
+
+// Call the YouTube Data API as the signed-in user. Errors keep YouTube's
+// status and the reason code from its error body.
+const youtubeRequest = async (accessToken, resource, params, body) => {
+  const url = new URL(`${config.oauth.youtubeApiUrl}/${resource}`);
+  url.search = new URLSearchParams(params).toString();
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        'Content-Type': 'application/json',
+        Accept: 'application/json'
+      },
+      body: JSON.stringify(body)
+    });
+  } catch (error) {
+    throw new HttpError(502, 'Could not reach the YouTube API', { reason: error.message });
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const apiError = data.error || {};
+    const reason = apiError.errors && apiError.errors[0] ? apiError.errors[0].reason : undefined;
+    throw new HttpError(response.status, apiError.message || `YouTube API returned ${response.status}`, { reason });
+  }
+  return data;
+};
+
+const defaultTitle = (run) =>
+  `RecFix ${run.kind === 'upload' ? 'history picks' : 'recommendations'} ${run.createdAt.slice(0, 10)}`;
+
+const validatePlaylistFields = ({ title, description }) => {
+  if (title !== undefined && (typeof title !== 'string' || !title.trim() || title.length > MAX_TITLE_LENGTH)) {
+    throw new ValidationError(`title must be a non-empty string of at most ${MAX_TITLE_LENGTH} characters`);
+  }
+  if (description !== undefined && (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+    throw new ValidationError(`description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+  }
+};
+
+// Create a private playlist on the signed-in user's channel holding a saved
+// run's videos in ranked order. Items are appended one at a time so the order
+// holds even when some fail; every failure is reported per item.
+const createPlaylistFromRun = async (runId, { sessionId, title, description } = {}) => {
+  const run = getRun(runId);
+  if (!run) {
+    throw new HttpError(404, 'Run not found. It may have been dropped from the history.');
+  }
+  if (run.kind === 'channels') {
+    throw new HttpError(409, 'Channel runs recommend channels, not videos, and cannot be saved as a playlist');
+  }
+  validatePlaylistFields({ title, description });
+
+  const videos = run.output.items;
+  const ledger = getQuotaLedger();
+  ledger.assertWithinBudget(QUOTA_COSTS['playlists.insert'] + videos.length * QUOTA_COSTS['playlistItems.insert']);
+
+  const accessToken = await getAccessToken(sessionId);
+
+  const playlistTitle = title ? title.trim() : defaultTitle(run);
+  let playlist;
+  try {
+    playlist = await youtubeRequest(accessToken, 'playlists', { part: 'snippet,status' }, {
+      snippet: {
+        title: playlistTitle,
+        description: description ?? `Recommendations from RecFix run ${run.id}`
+      },
+      status: { privacyStatus: 'private' }
+    });
+  } catch (error) {
+    if (!error.details || error.status === 502) throw error;
+    // Refused credentials, scopes or quota are the user's to fix; anything
+    // else is YouTube failing
+    const status = error.status === 401 || error.status === 403 ? error.status : 502;
+    throw new HttpError(status, `YouTube did not create the playlist: ${error.message}`, {
+      status: error.status,
+      reason: error.details.reason
+    });
+  } finally {
+    ledger.charge('playlists.insert');
+  }
+  console.log(`Created playlist ${playlist.id} for run ${run.id}, inserting ${videos.length} videos`);
+
+  const items = [];
+  let fatal = null;
+  for (const [index, video] of videos.entries()) {
+    const item = { rank: index + 1, videoId: video.id, title: video.title };
+
+    if (fatal) {
+      items.push({ ...item, status: 'skipped', error: fatal.message, reason: fatal.reason });
+      continue;
+    }
+
+    try {
+      const inserted = await youtubeRequest(accessToken, 'playlistItems', { part: 'snippet' }, {
+        snippet: {
+          playlistId: playlist.id,
+          resourceId: { kind: 'youtube#video', videoId: video.id }
+        }
+      });
+      items.push({ ...item, status: 'inserted', playlistItemId: inserted.id });
+    } catch (error) {
+      const reason = error.details ? error.details.reason : undefined;
+      items.push({ ...item, status: 'failed', error: error.message, reason });
+      if (error.status === 401 || FATAL_REASONS.includes(reason)) {
+        fatal = { message: `Not attempted after: ${error.message}`, reason };
+      }
+    } finally {
+      ledger.charge('playlistItems.insert');
+    }
+  }
+
+  const inserted = items.filter(item => item.status === 'inserted').length;
+  console.log(`Inserted ${inserted} of ${videos.length} videos into playlist ${playlist.id}`);
+
+  return {
+    runId: run.id,
+    playlistId: playlist.id,
+    playlistUrl: `https://www.youtube.com/playlist?list=${playlist.id}`,
+    title: playlistTitle,
+    privacyStatus: 'private',
+    requested: videos.length,
+    inserted,
+    failed: items.length - inserted,
+    items
+  };
+};
+
+module.exports = {
+  createPlaylistFromRun
+};
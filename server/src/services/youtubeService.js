@@ -1,65 +1,45 @@
-const { google } = require('googleapis');
-const youtube = google.youtube('v3');
+const config = require('../config');
+const { getProvider } = require('../providers');
+const { selectSeeds } = require('./seedSelection');
+const { buildSeedQueries } = require('./keywordQueries');
+const { DEFAULT_OPTIONS, filterReason, toSearchParams } = require('./videoFilters');
+const { parseYouTubeInput } = require('../utils/youtubeIdentifiers');
+const { rankCandidates, shuffleWithRelevance } = require('./rankingService');
+const { createFeedbackScorer } = require('./feedbackService');
+const { diversify } = require('./diversityService');
+const { createCursor, decodeCursor, encodeCursor, isExhausted } = require('../utils/cursor');
+const {
+  estimateRoundCost,
+  estimateRecommendationCost,
+  estimateSeedResolutionCost,
+  getQuotaLedger
+} = require('./quotaService');
+const { HttpError, ValidationError } = require('../utils/errors');
 
 const MAX_RESULTS = 15; // Reduced limit for development
+const VIDEOS_BATCH_SIZE = 50; // videos.list accepts at most 50 IDs per call
+const MAX_PAGE_ROUNDS = 3; // Extra fetches allowed when a page comes up empty
+const PLAYLIST_PAGE_SIZE = 50; // playlistItems.list returns at most 50 per call
+const UNAVAILABLE_TITLES = new Set(['Private video', 'Deleted video']);
 
-const isYoutubeShort = (video) => {
-  // More aggressive Shorts detection
-  if (!video.contentDetails || !video.snippet) return true; // Reject if missing details
-  
-  const duration = parseDuration(video.contentDetails.duration);
-  if (duration < 180) return true; // Filter videos shorter than 3 minutes
-  
-  // Check for shorts indicators in title, description, and tags
-  const shortsKeywords = ['#shorts', '#short', '#ytshorts', 'shorts/', '/shorts', 'youtube.com/shorts'];
-  const textContent = `${video.snippet.title} ${video.snippet.description} ${(video.snippet.tags || []).join(' ')}`.toLowerCase();
-  if (shortsKeywords.some(keyword => textContent.includes(keyword))) return true;
-
-  // Check URL format
-  if (video.id && typeof video.id === 'string' && video.id.includes('/shorts/')) return true;
-
-  // Check for vertical video format
-  if (video.contentDetails && video.contentDetails.dimension) {
-    const { height, width } = video.contentDetails.dimension;
-    if (height > width) return true;
-  }
-
-  return false;
-};
-
-const parseDuration = (duration) => {
-  const match = duration.match(/PT(\d+H)?(\d+M)?(\d+S)?/);
-  let seconds = 0;
-  
-  if (match[1]) seconds += parseInt(match[1]) * 3600;
-  if (match[2]) seconds += parseInt(match[2]) * 60;
-  if (match[3]) seconds += parseInt(match[3]);
-  
-  return seconds;
-};
-
-const getVideoDetails = async (videoId, apiKey) => {
+const getVideoDetails = async (videoId) => {
   try {
     console.log(`Fetching details for video ID: ${videoId}`);
-    const response = await youtube.videos.list({
-      part: 'snippet,contentDetails,statistics',
-      id: videoId,
-      key: apiKey
-    });
+    const items = await getProvider().getVideos([videoId]);
 
-    if (!response.data.items || response.data.items.length === 0) {
+    if (items.length === 0) {
       console.warn(`No details found for video ID: ${videoId}`);
       return null;
     }
 
-    return response.data.items[0];
+    return items[0];
   } catch (error) {
     console.error('Error fetching video details:', error);
     return null;
   }
 };
 
-const getRelatedVideos = async (videoDetails, apiKey, pageToken = null) => {
+const getRelatedVideos = async (videoDetails, pageToken = null, filters = DEFAULT_OPTIONS) => {
   try {
     // First, verify we have a valid video ID
     const videoId = videoDetails.id || videoDetails;
@@ -68,10 +48,10 @@ const getRelatedVideos = async (videoDetails, apiKey, pageToken = null) => {
     const searchParams = {
       part: 'snippet',
       relatedToVideoId: videoId,
-      type: 'video',
       maxResults: 50,
-      safeSearch: 'none',  // Add this to ensure we get results
-      order: 'relevance'   // Add this to get most relevant results
+      order: 'relevance',  // Add this to get most relevant results
+      // Region, language, safe-search and date restrictions from the request
+      ...toSearchParams(filters)
     };
 
     if (pageToken) {
@@ -79,18 +59,14 @@ const getRelatedVideos = async (videoDetails, apiKey, pageToken = null) => {
     }
 
     console.log('Search params:', searchParams);
-    const response = await youtube.search.list(searchParams);
-    console.log('Response status:', response.status);
-    console.log('Response data:', JSON.stringify(response.data, null, 2));
+    const response = await getProvider().searchVideos(searchParams);
+    console.log(`Received ${response.items.length} related videos`);
 
-    if (!response.data.items || response.data.items.length === 0) {
-      throw new Error('No related videos found');
+    if (response.items.length === 0) {
+      console.warn(`No related videos found for: ${videoId}`);
     }
 
-    return {
-      items: response.data.items,
-      nextPageToken: response.data.nextPageToken
-    };
+    return response;
 
   } catch (error) {
     console.error('Detailed error:', JSON.stringify(error.response?.data || error, null, 2));
@@ -98,43 +74,280 @@ const getRelatedVideos = async (videoDetails, apiKey, pageToken = null) => {
   }
 };
 
-const processVideoUrls = async (videoUrls, apiKey, pageToken = null) => {
+// Search results only carry a snippet. Fetch full details (duration, dimension,
+// statistics) for every candidate in batched videos.list calls.
+const hydrateCandidates = async (candidates) => {
+  const ids = Array.from(new Set(candidates.map(candidate => candidate.id)));
+  const details = new Map();
+
+  for (let i = 0; i < ids.length; i += VIDEOS_BATCH_SIZE) {
+    const batch = ids.slice(i, i + VIDEOS_BATCH_SIZE);
+    const videos = await getProvider().getVideos(batch);
+    videos.forEach(video => details.set(video.id, video));
+  }
+
+  console.log(`Hydrated ${details.size} of ${ids.length} candidate videos`);
+
+  // Candidates that came back without details are private or deleted
+  return candidates
+    .filter(candidate => details.has(candidate.id))
+    .map(candidate => ({ ...candidate, video: details.get(candidate.id) }));
+};
+
+// Collapse candidates surfaced by several seeds into one per video. The seed
+// that ranked it highest becomes its source; every seed that found it is kept
+// in seeds as { id, position, generator } for co-occurrence scoring.
+const mergeCandidates = (candidates) => {
+  const merged = new Map();
+
+  candidates.forEach(candidate => {
+    const hit = { id: candidate.seed.id, position: candidate.position, generator: candidate.generator };
+    const existing = merged.get(candidate.id);
+
+    if (!existing) {
+      merged.set(candidate.id, { ...candidate, seeds: [hit] });
+      return;
+    }
+
+    if (existing.seeds.some(seedHit => seedHit.id === hit.id)) return;
+    existing.seeds.push(hit);
+    if (hit.position < existing.position) {
+      Object.assign(existing, { seed: candidate.seed, position: hit.position, generator: hit.generator });
+    }
+  });
+
+  return Array.from(merged.values()).map(candidate => ({
+    ...candidate,
+    seeds: candidate.seeds.sort((a, b) => a.position - b.position)
+  }));
+};
+
+// Shape a ranked candidate for the API response: the full video resource plus
+// its score and where that score came from
+const toRecommendation = (candidate) => ({
+  ...candidate.video,
+  // The seed that ranked it highest, and every seed that surfaced it
+  sourceVideoId: candidate.seed.id,
+  seeds: candidate.seeds.map(hit => ({
+    videoId: hit.id,
+    position: hit.position,
+    generator: hit.generator
+  })),
+  // Which candidate generator found it: 'related' or 'keywords'
+  generator: candidate.generator,
+  score: candidate.score,
+  scoreBreakdown: candidate.scoreBreakdown
+});
+
+// Content-based fallback: search for videos matching keywords taken from
+// the seed (see keywordQueries)
+const getKeywordVideos = async (videoDetails, query, pageToken = null, filters = DEFAULT_OPTIONS) => {
+  const searchParams = {
+    part: 'snippet',
+    q: query,
+    maxResults: 50,
+    order: 'relevance',
+    ...toSearchParams(filters)
+  };
+  if (pageToken) searchParams.pageToken = pageToken;
+
+  console.log(`Keyword search for ${videoDetails.id}: ${query}`);
+  const response = await getProvider().searchVideos(searchParams);
+  console.log(`Received ${response.items.length} keyword matches`);
+  return response;
+};
+
+// Related-video search errors that mean the generator is unavailable rather
+// than that something else went wrong (quota errors are not among them)
+const isRelatedUnavailable = (error) => error.code === 400 || error.code === 404;
+
+// Fetch one page of candidates for every seed that still has results, using
+// each seed's own generator and page token from the cursor. Seeds start on
+// related videos; in 'auto' mode a seed whose first related page is empty
+// (or rejected) switches to keyword search and stays there.
+const fetchSeedCandidates = async (seeds, cursor, { onProgress, signal, filters = DEFAULT_OPTIONS }) => {
+  const candidates = [];
+  const nextStates = new Map();
+  const seedIds = new Set(seeds.map(seed => seed.id));
+  let queries = null;
+
+  for (const [index, seed] of seeds.entries()) {
+    signal?.throwIfAborted();
+    onProgress('fetching', { completed: index, total: seeds.length });
+
+    const state = cursor.seeds[seed.id];
+    if (state.exhausted) continue;
+
+    let generator = state.generator || (filters.generator === 'keywords' ? 'keywords' : 'related');
+    let response = null;
+
+    if (generator === 'related') {
+      try {
+        response = await getRelatedVideos(seed, state.pageToken, filters);
+      } catch (error) {
+        if (filters.generator !== 'auto' || !isRelatedUnavailable(error)) throw error;
+        console.warn(`Related videos unavailable for ${seed.id}: ${error.message}`);
+      }
+
+      if (filters.generator === 'auto' && !state.pageToken && (!response || response.items.length === 0)) {
+        console.warn(`Falling back to keyword search for ${seed.id}`);
+        generator = 'keywords';
+        response = null;
+      }
+
+      // A later page YouTube rejects ends the seed; the fallback only
+      // replaces a first page
+      if (generator === 'related' && !response) {
+        response = { items: [], nextPageToken: null };
+      }
+    }
+
+    let query = state.query || null;
+    if (generator === 'keywords') {
+      // Keep the query a seed started with so its page tokens stay valid
+      if (!query) {
+        queries = queries || buildSeedQueries(seeds);
+        query = queries.has(seed.id) ? queries.get(seed.id).query : null;
+      }
+      response = query
+        ? await getKeywordVideos(seed, query, state.generator === 'keywords' ? state.pageToken : null, filters)
+        : { items: [], nextPageToken: null };
+    }
+
+    nextStates.set(seed.id, {
+      generator,
+      query: generator === 'keywords' ? query : undefined,
+      pageToken: response.nextPageToken
+    });
+    response.items.forEach((item, position) => {
+      // Keyword search can find the seeds themselves
+      if (seedIds.has(item.id.videoId)) return;
+      // 1-based rank of the video in this seed's results
+      candidates.push({ id: item.id.videoId, seed, generator, position: position + 1 });
+    });
+  }
+
+  return { candidates: mergeCandidates(candidates), nextStates };
+};
+
+const noProgress = () => {};
+
+const processVideoUrls = async (videoUrls, {
+  pageToken = null,
+  shuffle = false,
+  exclude = null,
+  filters = DEFAULT_OPTIONS,
+  profileId = null,
+  onProgress = noProgress,
+  signal
+} = {}) => {
   try {
     console.log('Processing URLs:', videoUrls);
-    
-    const results = [];
-    for (const url of videoUrls) {
-      const videoId = extractVideoId(url);
-      if (!videoId) continue;
 
+    const seedIds = Array.from(new Set(videoUrls.map(extractVideoId).filter(Boolean)));
+    const cursor = decodeCursor(pageToken, seedIds);
+    const served = new Set(cursor.served);
+    // IDs dropped by the caller's exclude set, e.g. videos already watched
+    const excluded = new Set();
+    // IDs dropped by the request's filter options, by reason
+    const filteredOut = new Map();
+
+    const feedbackScorer = createFeedbackScorer(profileId);
+
+    const activeSeedIds = seedIds.filter(videoId => !cursor.seeds[videoId].exhausted);
+    getQuotaLedger().assertWithinBudget(estimateRecommendationCost(activeSeedIds.length, {
+      keywordFallback: filters.generator === 'auto'
+    }));
+
+    const seeds = [];
+    for (const videoId of activeSeedIds) {
+      signal?.throwIfAborted();
       console.log('Processing video ID:', videoId);
       
       // Get initial video details
-      const videoDetails = await getVideoDetails(videoId, apiKey);
+      const videoDetails = await getVideoDetails(videoId);
       if (!videoDetails) {
         console.log('No details found for video:', videoId);
+        cursor.seeds[videoId].exhausted = true;
         continue;
       }
+      seeds.push(videoDetails);
+    }
 
-      // Get related videos
-      const relatedVideos = await getRelatedVideos(videoDetails, apiKey, pageToken);
-      if (relatedVideos.items && relatedVideos.items.length > 0) {
-        results.push(...relatedVideos.items);
+    let page = [];
+    let foundCandidates = !!pageToken;
+    for (let round = 0; round < MAX_PAGE_ROUNDS && page.length === 0 && !isExhausted(cursor); round++) {
+      // The first round was budgeted up front; each extra round must fit too.
+      // By then every seed has settled on a generator, so one search each.
+      if (round > 0) {
+        const remainingSeeds = seeds.filter(seed => !cursor.seeds[seed.id].exhausted).length;
+        getQuotaLedger().assertWithinBudget(estimateRoundCost(remainingSeeds));
       }
+
+      const { candidates, nextStates } = await fetchSeedCandidates(seeds, cursor, { onProgress, signal, filters });
+      if (candidates.length > 0) foundCandidates = true;
+
+      onProgress('fetching', { completed: seeds.length, total: seeds.length });
+      const hydrated = await hydrateCandidates(candidates);
+      signal?.throwIfAborted();
+      onProgress('ranking', { candidates: hydrated.length });
+
+      // Filter, rank and take the best results not served on an earlier page
+      const eligible = hydrated
+        .filter(candidate => {
+          const reason = filterReason(candidate.video, filters);
+          if (!reason) return true;
+          if (!filteredOut.has(reason)) filteredOut.set(reason, new Set());
+          filteredOut.get(reason).add(candidate.id);
+          return false;
+        })
+        .filter(candidate => {
+          if (!exclude || !exclude.has(candidate.id)) return true;
+          excluded.add(candidate.id);
+          return false;
+        })
+        .filter(candidate => !served.has(candidate.id));
+      // Relevance first, then re-ranked for variety across terms, channels and seeds
+      page = diversify(rankCandidates(eligible, { feedbackScorer, filters }), {
+        size: MAX_RESULTS,
+        diversity: filters.diversity,
+        maxPerChannel: filters.maxPerChannel
+      });
+      page.forEach(candidate => served.add(candidate.id));
+
+      // A seed moves on to its next YouTube page only once everything eligible
+      // on its current page has been served
+      nextStates.forEach(({ generator, query, pageToken: nextToken }, seedId) => {
+        const remaining = eligible.some(candidate =>
+          !served.has(candidate.id) && candidate.seeds.some(hit => hit.id === seedId)
+        );
+        if (remaining) {
+          // Still on the same page, but remember a generator switch
+          cursor.seeds[seedId] = { ...cursor.seeds[seedId], generator, query };
+          return;
+        }
+
+        cursor.seeds[seedId] = nextToken
+          ? { pageToken: nextToken, exhausted: false, generator, query }
+          : { pageToken: null, exhausted: true, generator, query };
+      });
     }
 
-    if (results.length === 0) {
-      throw new Error('No recommendations found');
+    if (!foundCandidates) {
+      throw new HttpError(404, 'No recommendations found. Try different videos or another candidate generator.');
     }
 
-    // Filter and process results
-    const processedResults = results
-      .filter(video => !isYoutubeShort(video))
-      .slice(0, MAX_RESULTS);
+    cursor.served = Array.from(served);
+    const processedResults = (shuffle ? shuffleWithRelevance(page) : page)
+      .map(toRecommendation);
 
     return {
       items: processedResults,
-      nextPageToken: pageToken
+      nextPageToken: isExhausted(cursor) ? null : encodeCursor(cursor),
+      alreadySeenRemoved: excluded.size,
+      filteredOut: Object.fromEntries(
+        Array.from(filteredOut.entries()).map(([reason, ids]) => [reason, ids.size])
+      )
     };
   } catch (error) {
     console.error('Error processing video URLs:', error);
@@ -142,167 +355,247 @@ const processVideoUrls = async (videoUrls, apiKey, pageToken = null) => {
   }
 };
 
-const processTakeoutFile = async (watchHistory, apiKey) => {
+// Every ranked candidate from the first page of each seed's related videos,
+// for callers that aggregate results rather than paginate through them
+const collectCandidates = async (seedIds, { signal, filters = DEFAULT_OPTIONS, profileId = null } = {}) => {
+  getQuotaLedger().assertWithinBudget(estimateRecommendationCost(seedIds.length, {
+    keywordFallback: filters.generator === 'auto'
+  }));
+
+  const seeds = [];
+  for (const videoId of seedIds) {
+    signal?.throwIfAborted();
+    const videoDetails = await getVideoDetails(videoId);
+    if (videoDetails) seeds.push(videoDetails);
+  }
+
+  const cursor = createCursor(seeds.map(seed => seed.id));
+  const { candidates } = await fetchSeedCandidates(seeds, cursor, { onProgress: noProgress, signal, filters });
+  const hydrated = await hydrateCandidates(candidates);
+
+  return {
+    seeds,
+    candidates: rankCandidates(
+      hydrated.filter(candidate => !filterReason(candidate.video, filters)),
+      { feedbackScorer: createFeedbackScorer(profileId), filters }
+    )
+  };
+};
+
+// Group videos (or anything holding one) by the channel that uploaded them
+const groupByChannel = (items, getVideo = item => item) => {
+  const channels = new Map();
+  items.forEach(item => {
+    const channelId = getVideo(item).snippet.channelId;
+    if (!channels.has(channelId)) channels.set(channelId, []);
+    channels.get(channelId).push(item);
+  });
+  return channels;
+};
+
+// Every watched video ID in the history that should not be recommended again.
+// With allowRewatchAfterDays, videos last watched longer ago than that are
+// allowed back in.
+const getWatchedExclusions = (watches, allowRewatchAfterDays) => {
+  const lastWatched = new Map();
+  watches.forEach(watch => {
+    if (!watch.videoId) return;
+    const time = new Date(watch.time).getTime() || 0;
+    lastWatched.set(watch.videoId, Math.max(lastWatched.get(watch.videoId) || 0, time));
+  });
+
+  if (allowRewatchAfterDays === undefined || allowRewatchAfterDays === null) {
+    return new Set(lastWatched.keys());
+  }
+
+  const cutoff = Date.now() - allowRewatchAfterDays * 24 * 60 * 60 * 1000;
+  return new Set(
+    Array.from(lastWatched.entries())
+      .filter(([, time]) => time > cutoff)
+      .map(([videoId]) => videoId)
+  );
+};
+
+const processTakeoutFile = async (watchHistory, { seedCount, allowRewatchAfterDays, ...options } = {}) => {
   try {
-    // Extract recent unique video IDs from watch history
-    const videoIds = new Set();
-    const processedEntries = watchHistory
-      .filter(entry => entry.titleUrl && entry.titleUrl.includes('youtube.com/watch'))
-      .sort((a, b) => new Date(b.time) - new Date(a.time)) // Sort by most recent
-      .slice(0, 10) // Take 10 most recent videos
-      .forEach(entry => {
-        const videoId = extractVideoId(entry.titleUrl);
-        if (videoId) videoIds.add(videoId);
-      });
+    const watches = watchHistory.map(entry => ({
+      videoId: extractVideoId(entry.titleUrl),
+      title: (entry.title || '').replace(/^Watched\s+/i, ''),
+      time: entry.time,
+      channel: entry.subtitles && entry.subtitles[0] ? entry.subtitles[0] : null
+    }));
 
-    // Convert to URLs and process
-    const videoUrls = Array.from(videoIds)
-      .map(id => `https://youtube.com/watch?v=${id}`);
+    // Score the history and sample a diverse set of seed videos from it
+    const selection = selectSeeds(watches, seedCount ? { size: seedCount } : {});
+    const exclude = getWatchedExclusions(watches, allowRewatchAfterDays);
+
+    console.log(`Selected ${selection.seeds.length} seeds from ${selection.candidates} watched videos across ${selection.uniqueChannels} channels`);
 
-    return processVideoUrls(videoUrls, apiKey);
+    // Convert to URLs and process
+    const videoUrls = selection.seeds
+      .map(seed => `https://youtube.com/watch?v=${seed.videoId}`);
+    if (options.onProgress) options.onProgress('seeds', { seeds: videoUrls.length });
+
+    console.log(`Excluding ${exclude.size} already watched videos from recommendations`);
+    const result = await processVideoUrls(videoUrls, { ...options, exclude });
+    // Upload runs are a single page: a follow-up request would have neither
+    // the seeds nor the watched videos to exclude, so no token is offered
+    return { ...result, nextPageToken: null, seeds: selection.seeds };
   } catch (error) {
     console.error('Error processing takeout file:', error);
     throw error;
   }
 };
 
-// Helper functions
-const extractKeywords = (title, description) => {
-  const text = `${title} ${description.slice(0, 100)}`;
-  return text.toLowerCase()
-    .replace(/[^\w\s]/g, '')
-    .split(/\s+/)
-    .filter(word => word.length > 2 && !commonWords.has(word));
-};
+// Page through a playlist and return up to maxItems playable member videos
+const getPlaylistVideos = async (playlistId, { maxItems = config.playlists.maxItems } = {}) => {
+  const items = [];
+  let pageToken = null;
 
-const calculateRelevanceScore = (video, sourceVideo, keywords) => {
-  let score = 0;
-  
-  // Title relevance (0-0.3)
-  const titleWords = new Set(video.snippet.title.toLowerCase().split(/\s+/));
-  const keywordMatches = keywords.filter(keyword => 
-    titleWords.has(keyword.toLowerCase())
-  ).length;
-  score += (keywordMatches / keywords.length) * 0.3;
-  
-  // Channel diversity (-0.2 to 0.1)
-  if (video.snippet.channelId === sourceVideo.snippet.channelId) {
-    score -= 0.2;
-  } else {
-    score += 0.1;
-  }
-  
-  // More aggressive duration-based scoring
-  if (video.contentDetails) {
-    const duration = parseDuration(video.contentDetails.duration);
-    if (duration < 180) { // Strongly penalize videos under 3 minutes
-      score -= 0.5;
-    } else if (duration < 300) { // Slightly penalize videos under 5 minutes
-      score -= 0.2;
-    } else if (duration > 600 && duration < 3600) { // Bonus for videos 10-60 minutes
-      score += 0.2;
+  try {
+    do {
+      const page = await getProvider().getPlaylistItems(playlistId, {
+        pageToken,
+        maxResults: Math.min(PLAYLIST_PAGE_SIZE, maxItems - items.length)
+      });
+      items.push(...page.items);
+      pageToken = page.nextPageToken;
+    } while (pageToken && items.length < maxItems);
+  } catch (error) {
+    if (error.code === 404) {
+      throw new ValidationError(`Playlist ${playlistId} was not found or is private.`);
     }
+    throw error;
   }
 
-  // Popularity and recency scoring
-  if (video.statistics) {
-    const viewCount = parseInt(video.statistics.viewCount) || 0;
-    const likeCount = parseInt(video.statistics.likeCount) || 0;
-    
-    // Calculate popularity score (0-0.4)
-    const popularityScore = Math.min(0.4, Math.log10(viewCount) / 10);
-    score += popularityScore;
-
-    // Calculate engagement score based on like ratio (0-0.2)
-    if (viewCount > 0) {
-      const engagementScore = Math.min(0.2, (likeCount / viewCount) * 100);
-      score += engagementScore;
-    }
-
-    // Very popular videos (>1M views) get a bonus and bypass recency penalty
-    const isVeryPopular = viewCount > 1000000;
-    
-    // Recency scoring (-0.3 to 0.2)
-    const publishedAt = new Date(video.snippet.publishedAt);
-    const ageInDays = (Date.now() - publishedAt.getTime()) / (1000 * 60 * 60 * 24);
-    
-    if (!isVeryPopular) {
-      if (ageInDays > 365) { // Older than a year
-        score -= 0.3;
-      } else if (ageInDays < 30) { // Less than a month old
-        score += 0.2;
-      } else if (ageInDays < 90) { // Less than 3 months old
-        score += 0.1;
+  return items
+    .slice(0, maxItems)
+    .filter(item => item.contentDetails && item.contentDetails.videoId && !UNAVAILABLE_TITLES.has(item.snippet.title))
+    .map(item => ({
+      videoId: item.contentDetails.videoId,
+      title: item.snippet.title,
+      // When the video was added to the playlist, so recent additions weigh more
+      time: item.snippet.publishedAt,
+      channel: {
+        name: item.snippet.videoOwnerChannelTitle || item.snippet.channelTitle,
+        url: `https://www.youtube.com/channel/${item.snippet.videoOwnerChannelId || item.snippet.channelId}`
       }
-    } else {
-      // Bonus for very popular videos
-      score += 0.3;
-    }
-  }
-  
-  // Random factor for variety (0-0.1)
-  score += Math.random() * 0.1;
-  
-  return score;
+    }));
 };
 
-const shuffleWithRelevance = (videos) => {
-  const chunks = [];
-  const chunkSize = Math.ceil(videos.length / 3);
-  
-  // Split into chunks by relevance
-  for (let i = 0; i < videos.length; i += chunkSize) {
-    chunks.push(videos.slice(i, i + chunkSize));
-  }
-  
-  // Shuffle within each chunk
-  chunks.forEach(chunk => {
-    for (let i = chunk.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [chunk[i], chunk[j]] = [chunk[j], chunk[i]];
+// Look up the channel behind a channel ID, @handle or custom URL
+const resolveChannel = async (input) => {
+  const provider = getProvider();
+  let channels = [];
+
+  if (input.type === 'channel') {
+    channels = await provider.getChannels({ ids: [input.channelId] });
+  } else if (input.type === 'handle') {
+    channels = await provider.getChannels({ handle: input.handle });
+  } else if (input.type === 'custom') {
+    // Legacy /user/ names resolve by username; most /c/ names now match a handle
+    channels = await provider.getChannels({ username: input.name });
+    if (channels.length === 0) {
+      channels = await provider.getChannels({ handle: `@${input.name}` });
     }
-  });
-  
-  // Interleave chunks
-  const result = [];
-  const maxLength = Math.max(...chunks.map(chunk => chunk.length));
-  for (let i = 0; i < maxLength; i++) {
-    chunks.forEach(chunk => {
-      if (chunk[i]) result.push(chunk[i]);
-    });
   }
-  
-  return result;
+
+  if (channels.length === 0) {
+    throw new ValidationError(`Channel not found: ${input.input}`, { input: input.input });
+  }
+  return channels[0];
 };
 
-const extractVideoId = (url) => {
-  try {
-    const urlObj = new URL(url);
-    if (urlObj.hostname.includes('youtube.com')) {
-      return urlObj.searchParams.get('v');
-    } else if (urlObj.hostname.includes('youtu.be')) {
-      return urlObj.pathname.slice(1);
+// A channel's latest uploads, newest first, read from its uploads playlist
+const getRecentUploads = async (channel, count = config.channels.seedsPerChannel) => {
+  const uploadsId = channel.contentDetails?.relatedPlaylists?.uploads;
+  if (!uploadsId) return [];
+
+  const uploads = await getPlaylistVideos(uploadsId, { maxItems: count });
+  return uploads.sort((a, b) => new Date(b.time) - new Date(a.time));
+};
+
+// Turn parsed inputs (see utils/youtubeIdentifiers) into one list of seed
+// video IDs. Videos are used as given; each playlist is expanded and run
+// through seed selection so a long playlist contributes a diverse handful
+// of its members rather than all of them; channels contribute their most
+// recent uploads.
+const resolveSeedInputs = async (inputs) => {
+  const videoIds = [];
+  const playlists = [];
+  const channels = [];
+
+  // Expanding playlists and channels spends quota before any recommendation
+  // work, so it has to fit the budget as well
+  getQuotaLedger().assertWithinBudget(estimateSeedResolutionCost({
+    playlists: inputs.filter(input => input.type === 'playlist').length,
+    channels: inputs.filter(input => ['channel', 'handle', 'custom'].includes(input.type)).length,
+    playlistMaxItems: config.playlists.maxItems
+  }));
+
+  for (const input of inputs) {
+    if (input.type === 'video') {
+      videoIds.push(input.videoId);
+    } else if (input.type === 'playlist') {
+      const members = await getPlaylistVideos(input.playlistId);
+      if (members.length === 0) {
+        throw new ValidationError(`Playlist ${input.playlistId} has no playable videos.`, {
+          input: input.input
+        });
+      }
+
+      const selection = selectSeeds(members, {
+        size: config.playlists.seedsPerPlaylist,
+        activity: 'added'
+      });
+      playlists.push({
+        playlistId: input.playlistId,
+        videos: members.length,
+        seeds: selection.seeds
+      });
+      videoIds.push(...selection.seeds.map(seed => seed.videoId));
+    } else if (['channel', 'handle', 'custom'].includes(input.type)) {
+      const channel = await resolveChannel(input);
+      const uploads = await getRecentUploads(channel);
+      if (uploads.length === 0) {
+        throw new ValidationError(`Channel ${channel.snippet.title} has no public uploads.`, {
+          input: input.input
+        });
+      }
+
+      channels.push({
+        channelId: channel.id,
+        title: channel.snippet.title,
+        customUrl: channel.snippet.customUrl || null,
+        seeds: uploads.map(upload => ({ videoId: upload.videoId, title: upload.title }))
+      });
+      videoIds.push(...uploads.map(upload => upload.videoId));
     }
-  } catch (error) {
-    console.error('Error extracting video ID:', error);
   }
-  return null;
+
+  const seedIds = Array.from(new Set(videoIds)).slice(0, config.seeds.maxSize);
+  console.log(`Resolved ${inputs.length} inputs into ${seedIds.length} seed videos (${playlists.length} playlists, ${channels.length} channels expanded)`);
+
+  return { seedIds, playlists, channels };
 };
 
-const commonWords = new Set([
-  'the', 'be', 'to', 'of', 'and', 'a', 'in', 'that', 'have', 'i', 'it', 'for',
-  'not', 'on', 'with', 'he', 'as', 'you', 'do', 'at', 'this', 'but', 'his',
-  'by', 'from', 'they', 'we', 'say', 'her', 'she', 'or', 'an', 'will', 'my',
-  'one', 'all', 'would', 'there', 'their', 'what', 'so', 'up', 'out', 'if',
-  'about', 'who', 'get', 'which', 'go', 'me', 'vs', 'new', 'review', 'best',
-  'top', 'how', 'why', 'when', 'where', 'what', 'latest', 'update', 'official',
-  'full', 'video', 'watch', 'first', 'look', 'hands', 'unboxing'
-]);
+// Video ID from any supported link or bare ID; null for anything else
+const extractVideoId = (url) => {
+  const parsed = parseYouTubeInput(url);
+  return parsed.type === 'video' ? parsed.videoId : null;
+};
 
 module.exports = {
   processVideoUrls,
   processTakeoutFile,
   getVideoDetails,
   getRelatedVideos,
+  hydrateCandidates,
+  collectCandidates,
+  groupByChannel,
+  getPlaylistVideos,
+  resolveChannel,
+  getRecentUploads,
+  resolveSeedInputs,
   extractVideoId
 };
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { ValidationError } = require('./errors');
+
+const CURSOR_VERSION = 1;
+const GENERATORS = ['related', 'keywords'];
+// Most recently served IDs a cursor remembers. Older ones came from pages
+// the seeds have already moved past, and dropping them keeps tokens short.
+const MAX_SERVED = 300;
+
+// Opaque multi-seed page cursor. It records each seed's own YouTube page token
+// (and which generator and query it belongs to) and the IDs already served,
+// so every page is new and non-overlapping. Tokens are signed, so clients
+// cannot forge or edit them.
+const createCursor = (seedIds) => ({
+  v: CURSOR_VERSION,
+  seeds: Object.fromEntries(
+    seedIds.map(id => [id, { pageToken: null, exhausted: false }])
+  ),
+  served: []
+});
+
+const sign = (payload) =>
+  crypto.createHmac('sha256', config.cursorSecret).update(payload).digest('base64url');
+
+const encodeCursor = (cursor) => {
+  const payload = Buffer.from(JSON.stringify({
+    ...cursor,
+    served: cursor.served.slice(-MAX_SERVED)
+  })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+};
+
+// The token's payload when its signature is ours, otherwise null
+const verifyToken = (token) => {
+  if (typeof token !== 'string') return null;
+  const [payload, signature, ...rest] = token.split('.');
+  if (!payload || !signature || rest.length > 0) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+  return payload;
+};
+
+const isSignedCursor = (token) => verifyToken(token) !== null;
+
+const isSeedState = (state) =>
+  !!state && typeof state === 'object' &&
+  (state.pageToken === null || typeof state.pageToken === 'string') &&
+  typeof state.exhausted === 'boolean' &&
+  (state.generator === undefined || GENERATORS.includes(state.generator)) &&
+  (state.query === undefined || state.query === null || typeof state.query === 'string');
+
+const decodeCursor = (token, seedIds) => {
+  if (!token) return createCursor(seedIds);
+
+  const payload = verifyToken(token);
+  if (!payload) {
+    throw new ValidationError('Invalid page token');
+  }
+
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new ValidationError('Invalid page token');
+  }
+
+  if (!cursor || cursor.v !== CURSOR_VERSION || !cursor.seeds || typeof cursor.seeds !== 'object' ||
+      !Object.values(cursor.seeds).every(isSeedState) ||
+      !Array.isArray(cursor.served) || !cursor.served.every(id => typeof id === 'string')) {
+    throw new ValidationError('Invalid page token');
+  }
+
+  const cursorSeeds = Object.keys(cursor.seeds).sort().join(',');
+  if (cursorSeeds !== [...seedIds].sort().join(',')) {
+    throw new ValidationError('Page token does not match the submitted URLs');
+  }
+
+  return cursor;
+};
+
+const isExhausted = (cursor) =>
+  Object.values(cursor.seeds).every(seed => seed.exhausted);
+
+module.exports = {
+  createCursor,
+  encodeCursor,
+  decodeCursor,
+  isSignedCursor,
+  isExhausted
+};
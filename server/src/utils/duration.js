@@ -0,0 +1,18 @@
+// Convert an ISO 8601 duration (as returned by videos.list) to seconds
+const parseDuration = (duration) => {
+  // Live and upcoming streams report "P0D"; multi-day videos include a day part
+  const match = (duration || '').match(/P(?:(\d+)D)?(?:T(\d+H)?(\d+M)?(\d+S)?)?/);
+  let seconds = 0;
+  if (!match) return seconds;
+
+  if (match[1]) seconds += parseInt(match[1]) * 86400;
+  if (match[2]) seconds += parseInt(match[2]) * 3600;
+  if (match[3]) seconds += parseInt(match[3]) * 60;
+  if (match[4]) seconds += parseInt(match[4]);
+  
+  return seconds;
+};
+
+module.exports = {
+  parseDuration
+};
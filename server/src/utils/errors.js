@@ -0,0 +1,52 @@
+// Errors that carry the HTTP status they should be reported with
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+class ValidationError extends HttpError {
+  constructor(message, details) {
+    super(400, message, details);
+    this.name = 'ValidationError';
+  }
+}
+
+class QuotaExceededError extends HttpError {
+  constructor(message, details) {
+    super(429, message, details);
+    this.name = 'QuotaExceededError';
+  }
+}
+
+// Answer a failed request: HttpErrors with their own status and message,
+// YouTube's 403 as a quota problem, anything else as a 500 with fallback
+const sendError = (res, error, fallback) => {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json({
+      error: error.message,
+      details: error.details
+    });
+  }
+
+  if (error.code === 403) {
+    return res.status(403).json({
+      error: 'YouTube API quota exceeded. Please try again later.'
+    });
+  }
+
+  res.status(500).json({
+    error: fallback,
+    details: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+module.exports = {
+  sendError,
+  HttpError,
+  ValidationError,
+  QuotaExceededError
+};
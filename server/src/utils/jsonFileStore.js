@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+
+// Small JSON document persisted to disk. Writes go to a temp file first and
+// are renamed into place, so a crash never leaves a half-written file.
+class JsonFileStore {
+  constructor(filePath, defaults = {}) {
+    this.filePath = filePath;
+    this.defaults = defaults;
+  }
+
+  read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Could not read ${this.filePath}:`, error.message);
+      }
+      return JSON.parse(JSON.stringify(this.defaults));
+    }
+  }
+
+  write(data) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  update(fn) {
+    const data = this.read();
+    const result = fn(data);
+    this.write(data);
+    return result;
+  }
+}
+
+module.exports = JsonFileStore;
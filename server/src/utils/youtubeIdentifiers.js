@@ -0,0 +1,193 @@
+// Parse anything a user might paste to mean a YouTube video, playlist or
+// channel: full URLs on any YouTube host, short links, embeds, bare IDs
+// and @handles.
+//
+// parseYouTubeInput returns one of
+//   { input, type: 'video', videoId, playlistId, startSeconds }
+//   { input, type: 'playlist', playlistId }
+//   { input, type: 'channel', channelId }
+//   { input, type: 'handle', handle }
+//   { input, type: 'custom', name }            (youtube.com/c/name, /user/name, /name)
+//   { input, type: null, error }               when the input is not understood
+
+const VIDEO_ID = /^[A-Za-z0-9_-]{11}$/;
+const CHANNEL_ID = /^UC[A-Za-z0-9_-]{22}$/;
+const PLAYLIST_ID = /^(PL|UU|LL|FL|RD|OL|UL|OLAK5uy_)[A-Za-z0-9_-]{8,}$/;
+const HANDLE = /^@[A-Za-z0-9._-]{3,30}$/;
+const CUSTOM_NAME = /^[A-Za-z0-9._-]{1,100}$/;
+
+const YOUTUBE_HOSTS = new Set([
+  'youtube.com',
+  'www.youtube.com',
+  'm.youtube.com',
+  'music.youtube.com',
+  'gaming.youtube.com',
+  'youtube-nocookie.com',
+  'www.youtube-nocookie.com'
+]);
+const SHORT_HOSTS = new Set(['youtu.be', 'www.youtu.be']);
+
+// Path prefixes that are followed by a video ID
+const VIDEO_PATHS = new Set(['shorts', 'embed', 'live', 'v', 'e']);
+
+// Top-level paths that are pages rather than legacy custom channel URLs
+const RESERVED_PATHS = new Set([
+  'watch', 'playlist', 'results', 'feed', 'channel', 'c', 'user', 'about',
+  'account', 'premium', 'music', 'gaming', 'kids', 'hashtag', 'post', 'redirect',
+  'signin', 'logout', 'upload', 't', 'howyoutubeworks', 'ads', 'creators'
+]);
+
+const isVideoId = (value) => typeof value === 'string' && VIDEO_ID.test(value);
+const isChannelId = (value) => typeof value === 'string' && CHANNEL_ID.test(value);
+const isPlaylistId = (value) => typeof value === 'string' && PLAYLIST_ID.test(value);
+const isHandle = (value) => typeof value === 'string' && HANDLE.test(value);
+
+// "90", "90s", "1m30s", "1h2m3s" -> seconds
+const parseTimestamp = (value) => {
+  if (!value) return null;
+  if (/^\d+s?$/.test(value)) return parseInt(value, 10);
+
+  const match = value.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+  if (!match || !match[0]) return null;
+  const [, hours = 0, minutes = 0, seconds = 0] = match.map(part => parseInt(part, 10) || 0);
+  return hours * 3600 + minutes * 60 + seconds;
+};
+
+const safeDecode = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return segment;
+  }
+};
+
+const fail = (input, error) => ({ input, type: null, error });
+
+const toVideo = (input, videoId, url) => {
+  if (!isVideoId(videoId)) {
+    return fail(input, 'The video ID in this link is not valid.');
+  }
+
+  const list = url ? url.searchParams.get('list') : null;
+  const time = url
+    ? url.searchParams.get('t') || url.searchParams.get('start') || new URLSearchParams(url.hash.slice(1)).get('t')
+    : null;
+
+  return {
+    input,
+    type: 'video',
+    videoId,
+    playlistId: isPlaylistId(list) ? list : null,
+    startSeconds: parseTimestamp(time)
+  };
+};
+
+const parseBareValue = (input, value) => {
+  if (isVideoId(value)) return toVideo(input, value);
+  if (isChannelId(value)) return { input, type: 'channel', channelId: value };
+  if (isPlaylistId(value)) return { input, type: 'playlist', playlistId: value };
+  if (isHandle(value)) return { input, type: 'handle', handle: value };
+  return null;
+};
+
+const parseUrl = (input, url) => {
+  const host = url.hostname.toLowerCase();
+  const segments = url.pathname.split('/').filter(Boolean).map(safeDecode);
+
+  if (SHORT_HOSTS.has(host)) {
+    return segments[0]
+      ? toVideo(input, segments[0], url)
+      : fail(input, 'This youtu.be link has no video ID.');
+  }
+
+  if (!YOUTUBE_HOSTS.has(host)) {
+    return fail(input, 'Not a YouTube link.');
+  }
+
+  const [first = '', second] = segments;
+  const section = first.toLowerCase();
+
+  if (section === 'watch') {
+    const videoId = url.searchParams.get('v');
+    if (videoId) return toVideo(input, videoId, url);
+
+    const list = url.searchParams.get('list');
+    if (isPlaylistId(list)) return { input, type: 'playlist', playlistId: list };
+    return fail(input, 'This watch link has no video ID.');
+  }
+
+  if (VIDEO_PATHS.has(section)) {
+    if (section === 'embed' && second === 'videoseries') {
+      const list = url.searchParams.get('list');
+      return isPlaylistId(list)
+        ? { input, type: 'playlist', playlistId: list }
+        : fail(input, 'The playlist ID in this link is not valid.');
+    }
+    return second ? toVideo(input, second, url) : fail(input, 'This link has no video ID.');
+  }
+
+  if (section === 'playlist') {
+    const list = url.searchParams.get('list');
+    return isPlaylistId(list)
+      ? { input, type: 'playlist', playlistId: list }
+      : fail(input, 'The playlist ID in this link is not valid.');
+  }
+
+  if (section === 'channel') {
+    return isChannelId(second)
+      ? { input, type: 'channel', channelId: second }
+      : fail(input, 'The channel ID in this link is not valid.');
+  }
+
+  if (first.startsWith('@')) {
+    return isHandle(first)
+      ? { input, type: 'handle', handle: first }
+      : fail(input, 'The @handle in this link is not valid.');
+  }
+
+  if (section === 'c' || section === 'user') {
+    return second && CUSTOM_NAME.test(second)
+      ? { input, type: 'custom', name: second }
+      : fail(input, 'The channel name in this link is not valid.');
+  }
+
+  if (first && !RESERVED_PATHS.has(section) && CUSTOM_NAME.test(first)) {
+    return { input, type: 'custom', name: first };
+  }
+
+  return fail(input, 'This YouTube link does not point to a video, playlist or channel.');
+};
+
+const parseYouTubeInput = (input) => {
+  if (typeof input !== 'string' || !input.trim()) {
+    return fail(input, 'Expected a YouTube URL or ID.');
+  }
+
+  const value = input.trim();
+  const bare = parseBareValue(input, value);
+  if (bare) return bare;
+
+  // Accept links pasted without a scheme, e.g. "youtube.com/watch?v=..."
+  const withScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `https://${value}`;
+  let url;
+  try {
+    url = new URL(withScheme);
+  } catch (error) {
+    return fail(input, 'Not a valid URL or YouTube ID.');
+  }
+
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    return fail(input, 'Not a valid URL or YouTube ID.');
+  }
+
+  return parseUrl(input, url);
+};
+
+module.exports = {
+  parseYouTubeInput,
+  parseTimestamp,
+  isVideoId,
+  isChannelId,
+  isPlaylistId,
+  isHandle
+};
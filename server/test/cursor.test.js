@@ -0,0 +1,124 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+// Configuration is read once, on first require
+process.env.CURSOR_SECRET = 'test-secret';
+
+const {
+  createCursor,
+  encodeCursor,
+  decodeCursor,
+  isSignedCursor,
+  isExhausted
+} = require('../src/utils/cursor');
+
+const SEEDS = ['1Cx9zHVpDRg', 'dQw4w9WgXcQ'];
+
+// Sign any payload (a cursor, or raw text) the way the server does, to get
+// past the signature check and reach the checks on the contents
+const signed = (cursor, secret = 'test-secret') => {
+  const text = typeof cursor === 'string' ? cursor : JSON.stringify(cursor);
+  const payload = Buffer.from(text).toString('base64url');
+  return `${payload}.${crypto.createHmac('sha256', secret).update(payload).digest('base64url')}`;
+};
+
+const invalid = { name: 'ValidationError', status: 400, message: 'Invalid page token' };
+
+describe('page cursors', () => {
+  it('starts every seed on its first page', () => {
+    assert.deepEqual(decodeCursor(null, SEEDS), {
+      v: 1,
+      seeds: {
+        '1Cx9zHVpDRg': { pageToken: null, exhausted: false },
+        dQw4w9WgXcQ: { pageToken: null, exhausted: false }
+      },
+      served: []
+    });
+  });
+
+  it('round-trips through a signed token', () => {
+    const cursor = createCursor(SEEDS);
+    cursor.seeds['1Cx9zHVpDRg'] = { pageToken: 'CDIQAA', exhausted: false, generator: 'related' };
+    cursor.seeds.dQw4w9WgXcQ = { pageToken: null, exhausted: true, generator: 'keywords', query: 'never gonna' };
+    cursor.served = ['aaaaaaaaaaa', 'bbbbbbbbbbb'];
+
+    const token = encodeCursor(cursor);
+    assert.ok(isSignedCursor(token));
+    // Seeds may come back in any order
+    assert.deepEqual(decodeCursor(token, [...SEEDS].reverse()), cursor);
+  });
+
+  it('remembers only the most recently served videos', () => {
+    const cursor = createCursor(SEEDS);
+    cursor.served = Array.from({ length: 350 }, (_, index) => `video${String(index).padStart(6, '0')}`);
+
+    const { served } = decodeCursor(encodeCursor(cursor), SEEDS);
+    assert.equal(served.length, 300);
+    assert.equal(served[0], 'video000050');
+    assert.equal(served[299], 'video000349');
+  });
+
+  it('rejects tokens whose payload was edited', () => {
+    const [, signature] = encodeCursor(createCursor(SEEDS)).split('.');
+    const edited = createCursor(SEEDS);
+    edited.seeds.dQw4w9WgXcQ.exhausted = true;
+    const payload = Buffer.from(JSON.stringify(edited)).toString('base64url');
+
+    assert.equal(isSignedCursor(`${payload}.${signature}`), false);
+    assert.throws(() => decodeCursor(`${payload}.${signature}`, SEEDS), invalid);
+  });
+
+  it('rejects tokens signed with another key', () => {
+    const token = signed(createCursor(SEEDS), 'some-other-secret');
+    assert.equal(isSignedCursor(token), false);
+    assert.throws(() => decodeCursor(token, SEEDS), invalid);
+  });
+
+  it('rejects tokens that are not cursors at all', () => {
+    const token = encodeCursor(createCursor(SEEDS));
+    ['garbage', token.split('.')[0], `${token}.extra`, `.${token.split('.')[1]}`].forEach(bad => {
+      assert.equal(isSignedCursor(bad), false);
+      assert.throws(() => decodeCursor(bad, SEEDS), invalid);
+    });
+    assert.equal(isSignedCursor(undefined), false);
+    assert.equal(isSignedCursor(['a', 'b']), false);
+  });
+
+  it('rejects signed cursors with malformed contents', () => {
+    const seeds = (state) => ({ '1Cx9zHVpDRg': state, dQw4w9WgXcQ: { pageToken: null, exhausted: false } });
+    const malformed = [
+      'not json',
+      { ...createCursor(SEEDS), v: 2 },
+      { ...createCursor(SEEDS), served: 'aaaaaaaaaaa' },
+      { ...createCursor(SEEDS), served: [1, 2] },
+      { v: 1, seeds: null, served: [] },
+      { v: 1, seeds: seeds(null), served: [] },
+      { v: 1, seeds: seeds({ pageToken: 5, exhausted: false }), served: [] },
+      { v: 1, seeds: seeds({ pageToken: null, exhausted: 'no' }), served: [] },
+      { v: 1, seeds: seeds({ pageToken: null, exhausted: false, generator: 'magic' }), served: [] },
+      { v: 1, seeds: seeds({ pageToken: null, exhausted: false, query: {} }), served: [] }
+    ];
+
+    malformed.forEach(cursor => {
+      assert.throws(() => decodeCursor(signed(cursor), SEEDS), invalid, JSON.stringify(cursor));
+    });
+  });
+
+  it('rejects a token used with different seeds', () => {
+    const token = encodeCursor(createCursor(SEEDS));
+    const mismatch = { status: 400, message: 'Page token does not match the submitted URLs' };
+
+    assert.throws(() => decodeCursor(token, ['1Cx9zHVpDRg']), mismatch);
+    assert.throws(() => decodeCursor(token, [...SEEDS, 'aaaaaaaaaaa']), mismatch);
+  });
+
+  it('is exhausted once every seed has run out', () => {
+    const cursor = createCursor(SEEDS);
+    cursor.seeds['1Cx9zHVpDRg'].exhausted = true;
+    assert.equal(isExhausted(cursor), false);
+
+    cursor.seeds.dQw4w9WgXcQ.exhausted = true;
+    assert.equal(isExhausted(cursor), true);
+  });
+});
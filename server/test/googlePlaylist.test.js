@@ -0,0 +1,221 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// A local stand-in for Google's token endpoint and the YouTube Data API.
+// Every request is recorded; each test decides how the API answers.
+const requests = [];
+let answer = null;
+
+const stub = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const url = new URL(req.url, 'http://stub');
+    const request = {
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      authorization: req.headers.authorization,
+      body: req.headers['content-type'] === 'application/x-www-form-urlencoded'
+        ? Object.fromEntries(new URLSearchParams(body))
+        : JSON.parse(body || '{}')
+    };
+    requests.push(request);
+
+    const [status, data] = answer(request);
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  });
+});
+
+const youtubeError = (status, reason, message) =>
+  [status, { error: { code: status, message, errors: [{ reason }] } }];
+
+// Token endpoint: code "good" for tokens that are about to expire, then the
+// refresh token for fresh ones
+const tokenEndpoint = (request) => {
+  const { grant_type: grant, code, refresh_token: refreshToken } = request.body;
+  if (grant === 'authorization_code' && code === 'good') {
+    return [200, { access_token: 'first-token', refresh_token: 'refresh-1', expires_in: 30, scope: 'youtube' }];
+  }
+  if (grant === 'refresh_token' && refreshToken === 'refresh-1') {
+    return [200, { access_token: 'fresh-token', expires_in: 3600 }];
+  }
+  return [400, { error: 'invalid_grant', error_description: 'Bad code' }];
+};
+
+let dataDir;
+let oauth;
+let runs;
+let playlists;
+
+const signIn = async () => {
+  const { authorizationUrl } = oauth.startAuthorization();
+  const state = new URL(authorizationUrl).searchParams.get('state');
+  return oauth.completeAuthorization({ code: 'good', state });
+};
+
+const saveVideoRun = (videoIds) => runs.recordRun({
+  kind: 'videos',
+  inputs: { urls: [] },
+  output: {
+    items: videoIds.map(id => ({
+      id,
+      snippet: { title: `Video ${id}`, channelId: 'UC1', channelTitle: 'Channel', publishedAt: '2024-01-01T00:00:00Z' }
+    }))
+  }
+});
+
+before(async () => {
+  await new Promise(resolve => stub.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${stub.address().port}`;
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recfix-test-'));
+
+  // Configuration is read once, on first require
+  Object.assign(process.env, {
+    DATA_DIR: dataDir,
+    GOOGLE_CLIENT_ID: 'client-id',
+    GOOGLE_CLIENT_SECRET: 'client-secret',
+    GOOGLE_REDIRECT_URI: 'http://localhost/callback',
+    GOOGLE_AUTH_URL: `${base}/auth`,
+    GOOGLE_TOKEN_URL: `${base}/token`,
+    GOOGLE_REVOKE_URL: `${base}/revoke`,
+    YOUTUBE_API_URL: `${base}/youtube/v3`
+  });
+  oauth = require('../src/services/oauthService');
+  runs = require('../src/services/runService');
+  playlists = require('../src/services/youtubePlaylistService');
+});
+
+after(() => {
+  stub.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  requests.length = 0;
+  answer = (request) => (request.path === '/token' ? tokenEndpoint(request) : [404, {}]);
+});
+
+describe('Google sign-in', () => {
+  it('sends a PKCE challenge and redeems the code with its verifier', async () => {
+    const { authorizationUrl } = oauth.startAuthorization();
+    const params = new URL(authorizationUrl).searchParams;
+    assert.equal(params.get('code_challenge_method'), 'S256');
+    assert.equal(params.get('access_type'), 'offline');
+
+    const session = await oauth.completeAuthorization({ code: 'good', state: params.get('state') });
+    assert.match(session.sessionId, /^[0-9a-f]{64}$/);
+
+    const [tokenRequest] = requests;
+    assert.equal(tokenRequest.body.grant_type, 'authorization_code');
+    assert.equal(tokenRequest.body.redirect_uri, 'http://localhost/callback');
+    assert.equal(
+      crypto.createHash('sha256').update(tokenRequest.body.code_verifier).digest('base64url'),
+      params.get('code_challenge')
+    );
+  });
+
+  it('accepts each state only once', async () => {
+    const { authorizationUrl } = oauth.startAuthorization();
+    const state = new URL(authorizationUrl).searchParams.get('state');
+    await oauth.completeAuthorization({ code: 'good', state });
+
+    await assert.rejects(oauth.completeAuthorization({ code: 'good', state }), { status: 400 });
+  });
+
+  it('reports a refused code as 401', async () => {
+    const { authorizationUrl } = oauth.startAuthorization();
+    const state = new URL(authorizationUrl).searchParams.get('state');
+
+    await assert.rejects(oauth.completeAuthorization({ code: 'bad', state }), { status: 401 });
+  });
+
+  it('refreshes an access token that is about to expire, then reuses it', async () => {
+    const { sessionId } = await signIn();
+    requests.length = 0;
+
+    assert.equal(await oauth.getAccessToken(sessionId), 'fresh-token');
+    assert.equal(await oauth.getAccessToken(sessionId), 'fresh-token');
+
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].body.grant_type, 'refresh_token');
+    assert.equal(requests[0].body.refresh_token, 'refresh-1');
+  });
+
+  it('rejects unknown sessions', async () => {
+    await assert.rejects(oauth.getAccessToken('nope'), { status: 401 });
+  });
+});
+
+describe('Saving a run as a playlist', () => {
+  let sessionId;
+
+  before(async () => {
+    ({ sessionId } = await signIn());
+  });
+
+  it('creates a private playlist and inserts the videos in rank order', async () => {
+    const run = saveVideoRun(['a', 'b', 'c']);
+    answer = (request) => {
+      if (request.path === '/token') return tokenEndpoint(request);
+      if (request.authorization !== 'Bearer fresh-token') return youtubeError(401, 'authError', 'Invalid Credentials');
+      if (request.path === '/youtube/v3/playlists') return [200, { id: 'PL1' }];
+      if (request.body.snippet.resourceId.videoId === 'b') return youtubeError(404, 'videoNotFound', 'Video not found.');
+      return [200, { id: `item-${request.body.snippet.resourceId.videoId}` }];
+    };
+
+    const result = await playlists.createPlaylistFromRun(run.id, { sessionId, title: 'Mine' });
+
+    const playlistRequest = requests.find(request => request.path === '/youtube/v3/playlists');
+    assert.equal(playlistRequest.body.snippet.title, 'Mine');
+    assert.equal(playlistRequest.body.status.privacyStatus, 'private');
+    assert.deepEqual(
+      requests.filter(request => request.path === '/youtube/v3/playlistItems')
+        .map(request => [request.body.snippet.playlistId, request.body.snippet.resourceId.videoId]),
+      [['PL1', 'a'], ['PL1', 'b'], ['PL1', 'c']]
+    );
+
+    assert.equal(result.playlistId, 'PL1');
+    assert.equal(result.inserted, 2);
+    assert.equal(result.failed, 1);
+    assert.deepEqual(
+      result.items.map(item => [item.rank, item.videoId, item.status, item.reason]),
+      [[1, 'a', 'inserted', undefined], [2, 'b', 'failed', 'videoNotFound'], [3, 'c', 'inserted', undefined]]
+    );
+  });
+
+  it('stops inserting once YouTube runs out of quota', async () => {
+    const run = saveVideoRun(['a', 'b', 'c']);
+    answer = (request) => {
+      if (request.path === '/youtube/v3/playlists') return [200, { id: 'PL2' }];
+      return youtubeError(403, 'quotaExceeded', 'Quota exceeded.');
+    };
+
+    const result = await playlists.createPlaylistFromRun(run.id, { sessionId });
+
+    assert.equal(requests.filter(request => request.path === '/youtube/v3/playlistItems').length, 1);
+    assert.deepEqual(result.items.map(item => item.status), ['failed', 'skipped', 'skipped']);
+  });
+
+  it('passes a refused playlist insert through as 403', async () => {
+    const run = saveVideoRun(['a']);
+    answer = () => youtubeError(403, 'insufficientPermissions', 'Insufficient Permission');
+
+    await assert.rejects(playlists.createPlaylistFromRun(run.id, { sessionId }), {
+      status: 403,
+      details: { status: 403, reason: 'insufficientPermissions' }
+    });
+  });
+
+  it('reports other YouTube failures as 502', async () => {
+    const run = saveVideoRun(['a']);
+    answer = () => youtubeError(500, 'backendError', 'Backend Error');
+
+    await assert.rejects(playlists.createPlaylistFromRun(run.id, { sessionId }), { status: 502 });
+  });
+});
@@ -0,0 +1,222 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+
+// Configuration is read once, on first require
+Object.assign(process.env, {
+  RATE_LIMIT_ENABLED: 'true',
+  RATE_LIMIT_STORE: 'memory',
+  RATE_LIMIT_BURST: '100',
+  RATE_LIMIT_DAILY: '2',
+  RATE_LIMIT_API_TOKENS: 'team-token, other-token',
+  CURSOR_SECRET: 'test-secret'
+});
+
+const {
+  MemoryStore,
+  getClientKey,
+  createRateLimiter,
+  limitRecommendationRuns,
+  limitRecommendationPages
+} = require('../src/middleware/rateLimiter');
+const { createCursor, encodeCursor } = require('../src/utils/cursor');
+
+let nextIp = 0;
+
+const fakeRequest = ({ ip = `10.0.0.${++nextIp}`, headers = {}, query = {} } = {}) => ({
+  ip,
+  query,
+  get: name => headers[name.toLowerCase()]
+});
+
+// Just enough of an Express response for the limiter: headers, a JSON body
+// and the 'finish' event once the response is sent
+const fakeResponse = () => {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.headers = {};
+  res.locals = {};
+  res.set = (name, value) => Object.assign(res.headers, typeof name === 'object' ? name : { [name]: value });
+  res.status = (status) => {
+    res.statusCode = status;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    res.emit('finish');
+    return res;
+  };
+  return res;
+};
+
+// Send one request through a limiter; when it is let through, the route
+// answers with status. Returns the response.
+const send = (limiter, req, status = 200) => {
+  const res = fakeResponse();
+  limiter(req, res, () => {
+    res.statusCode = status;
+    res.emit('finish');
+  });
+  return res;
+};
+
+const windows = (overrides = {}) => [
+  { name: 'burst', limit: 3, windowSeconds: 60, message: 'Slow down' },
+  { name: 'daily', limit: 2, windowSeconds: 24 * 3600, message: 'Come back tomorrow', ...overrides }
+];
+
+describe('getClientKey', () => {
+  it('keys clients by IP by default', () => {
+    assert.equal(getClientKey(fakeRequest({ ip: '1.2.3.4' }), []), 'ip:1.2.3.4');
+  });
+
+  it('keys allow-listed tokens by their hash, from either header', () => {
+    const bearer = getClientKey(fakeRequest({ headers: { authorization: 'Bearer team-token' } }), ['team-token']);
+    const apiKey = getClientKey(fakeRequest({ headers: { 'x-api-key': 'team-token' } }), ['team-token']);
+
+    assert.match(bearer, /^token:[0-9a-f]{32}$/);
+    assert.equal(apiKey, bearer);
+    assert.ok(!bearer.includes('team-token'));
+  });
+
+  it('ignores tokens that are not allow-listed', () => {
+    const req = fakeRequest({ ip: '1.2.3.4', headers: { authorization: 'Bearer made-up' } });
+    assert.equal(getClientKey(req, ['team-token']), 'ip:1.2.3.4');
+    assert.equal(getClientKey(req, []), 'ip:1.2.3.4');
+  });
+});
+
+describe('createRateLimiter', () => {
+  it('blocks a client once a window is used up and says when to retry', () => {
+    const limiter = createRateLimiter({ name: 'test', store: new MemoryStore(), windows: windows() });
+    const ip = '10.1.0.1';
+
+    assert.equal(send(limiter, fakeRequest({ ip })).statusCode, 200);
+    const second = send(limiter, fakeRequest({ ip }));
+    assert.equal(second.headers['RateLimit-Remaining'], '0');
+    assert.equal(second.headers['RateLimit-Policy'], '3;w=60, 2;w=86400');
+
+    const third = send(limiter, fakeRequest({ ip }));
+    assert.equal(third.statusCode, 429);
+    assert.equal(third.body.error, 'Come back tomorrow');
+    assert.ok(Number(third.headers['Retry-After']) > 0);
+
+    // Other clients have their own counters
+    assert.equal(send(limiter, fakeRequest({ ip: '10.1.0.2' })).statusCode, 200);
+  });
+
+  it('reports the burst window when it runs out first', () => {
+    const limiter = createRateLimiter({
+      name: 'test',
+      store: new MemoryStore(),
+      windows: windows({ limit: 10 })
+    });
+    const ip = '10.1.0.3';
+
+    [1, 2, 3].forEach(() => send(limiter, fakeRequest({ ip })));
+    const blocked = send(limiter, fakeRequest({ ip }));
+    assert.equal(blocked.statusCode, 429);
+    assert.equal(blocked.body.error, 'Slow down');
+    assert.ok(Number(blocked.headers['Retry-After']) <= 60);
+  });
+
+  it('gives successOnly windows their slot back when the request fails', () => {
+    const limiter = createRateLimiter({
+      name: 'test',
+      store: new MemoryStore(),
+      windows: windows({ successOnly: true })
+    });
+    const ip = '10.1.0.4';
+
+    assert.equal(send(limiter, fakeRequest({ ip }), 400).statusCode, 400);
+    assert.equal(send(limiter, fakeRequest({ ip }), 500).statusCode, 500);
+    assert.equal(send(limiter, fakeRequest({ ip })).statusCode, 200);
+    // The burst window still counted every attempt
+    assert.equal(send(limiter, fakeRequest({ ip })).statusCode, 429);
+  });
+
+  it('leaves skipped windows alone', () => {
+    const limiter = createRateLimiter({
+      name: 'test',
+      store: new MemoryStore(),
+      windows: windows({ limit: 1, skip: req => req.query.free === 'yes' })
+    });
+    const ip = '10.1.0.5';
+
+    assert.equal(send(limiter, fakeRequest({ ip, query: { free: 'yes' } })).statusCode, 200);
+    assert.equal(send(limiter, fakeRequest({ ip })).statusCode, 200);
+    assert.equal(send(limiter, fakeRequest({ ip })).statusCode, 429);
+  });
+});
+
+describe('recommendation limits', () => {
+  let signedToken;
+
+  before(() => {
+    signedToken = encodeCursor(createCursor(['dQw4w9WgXcQ']));
+  });
+
+  it('cannot be dodged by sending made-up tokens', () => {
+    const ip = '10.2.0.1';
+    send(limitRecommendationRuns, fakeRequest({ ip }));
+    send(limitRecommendationRuns, fakeRequest({ ip }));
+
+    ['random1', 'random2', 'random3'].forEach(token => {
+      const res = send(limitRecommendationRuns, fakeRequest({ ip, headers: { authorization: `Bearer ${token}` } }));
+      assert.equal(res.statusCode, 429);
+    });
+  });
+
+  it('gives each allow-listed token its own allowance', () => {
+    const ip = '10.2.0.2';
+    send(limitRecommendationRuns, fakeRequest({ ip }));
+    send(limitRecommendationRuns, fakeRequest({ ip }));
+
+    const headers = { authorization: 'Bearer team-token' };
+    assert.equal(send(limitRecommendationRuns, fakeRequest({ ip, headers })).statusCode, 200);
+    assert.equal(send(limitRecommendationRuns, fakeRequest({ ip, headers })).statusCode, 200);
+    assert.equal(send(limitRecommendationRuns, fakeRequest({ ip, headers })).statusCode, 429);
+  });
+
+  it('does not count failed runs against the daily limit', () => {
+    const ip = '10.2.0.3';
+    [1, 2, 3].forEach(() => send(limitRecommendationRuns, fakeRequest({ ip }), 400));
+
+    assert.equal(send(limitRecommendationRuns, fakeRequest({ ip })).statusCode, 200);
+    assert.equal(send(limitRecommendationRuns, fakeRequest({ ip })).statusCode, 200);
+    assert.equal(send(limitRecommendationRuns, fakeRequest({ ip })).statusCode, 429);
+  });
+
+  it('lets work that settles after the response give its daily slot back', () => {
+    const ip = '10.2.0.6';
+    const accepted = send(limitRecommendationRuns, fakeRequest({ ip }), 202);
+    send(limitRecommendationRuns, fakeRequest({ ip }));
+    assert.equal(send(limitRecommendationRuns, fakeRequest({ ip })).statusCode, 429);
+
+    // Refunding twice gives back only the one slot
+    accepted.locals.refundRateLimit();
+    accepted.locals.refundRateLimit();
+    assert.equal(send(limitRecommendationRuns, fakeRequest({ ip })).statusCode, 200);
+    assert.equal(send(limitRecommendationRuns, fakeRequest({ ip })).statusCode, 429);
+  });
+
+  it('lets signed page tokens continue a run past the daily limit', () => {
+    const ip = '10.2.0.4';
+    send(limitRecommendationPages, fakeRequest({ ip }));
+    send(limitRecommendationPages, fakeRequest({ ip }));
+
+    const next = send(limitRecommendationPages, fakeRequest({ ip, query: { pageToken: signedToken } }));
+    assert.equal(next.statusCode, 200);
+    assert.equal(send(limitRecommendationPages, fakeRequest({ ip })).statusCode, 429);
+  });
+
+  it('counts forged page tokens and other routes as new runs', () => {
+    const ip = '10.2.0.5';
+    send(limitRecommendationPages, fakeRequest({ ip }));
+    send(limitRecommendationRuns, fakeRequest({ ip, query: { pageToken: signedToken } }));
+
+    const [payload] = signedToken.split('.');
+    const forged = send(limitRecommendationPages, fakeRequest({ ip, query: { pageToken: `${payload}.forged` } }));
+    assert.equal(forged.statusCode, 429);
+  });
+});
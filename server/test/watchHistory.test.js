@@ -0,0 +1,244 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const { detectHistoryFormat, classifyEntry, parseWatchHistory } = require('../src/parsers/watchHistory');
+
+const FIXTURES = path.join(__dirname, '../fixtures/takeout');
+const LIMITS = { maxEntries: 1000, maxBytes: 10 * 1024 * 1024 };
+
+let tmpDir;
+
+const writeTemp = (name, contents) => {
+  const filePath = path.join(tmpDir, name);
+  fs.writeFileSync(filePath, contents);
+  return filePath;
+};
+
+// Build a .zip holding the given { name: contents } files, stored without
+// compression; enough of the format for yauzl to read it back
+const buildZip = (files) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, contents]) => {
+    const data = Buffer.from(contents);
+    const fileName = Buffer.from(name);
+    const crc = zlib.crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, fileName, data);
+    centrals.push(central, fileName);
+    offset += local.length + fileName.length + data.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+};
+
+const readFixture = (name) => fs.readFileSync(path.join(FIXTURES, name));
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recfix-history-'));
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('detectHistoryFormat', () => {
+  it('tells the formats apart by content', () => {
+    assert.equal(detectHistoryFormat(readFixture('watch-history.json')), 'json');
+    assert.equal(detectHistoryFormat(readFixture('watch-history.html')), 'html');
+    assert.equal(detectHistoryFormat(buildZip({ 'a.txt': 'a' })), 'zip');
+    assert.equal(detectHistoryFormat(Buffer.from('﻿  [{}]')), 'json');
+    assert.equal(detectHistoryFormat(Buffer.from('<!DOCTYPE html><html>')), 'html');
+    assert.equal(detectHistoryFormat(Buffer.from('title,url\n')), null);
+  });
+});
+
+describe('classifyEntry', () => {
+  const watched = {
+    title: 'Watched Something',
+    titleUrl: 'https://www.youtube.com/watch?v=1Cx9zHVpDRg',
+    time: '2024-01-01T00:00:00Z'
+  };
+
+  it('sorts Takeout activity into watches and the kinds that are skipped', () => {
+    assert.equal(classifyEntry(watched), 'video');
+    assert.equal(classifyEntry({ ...watched, titleUrl: 'https://youtu.be/1Cx9zHVpDRg' }), 'video');
+    assert.equal(classifyEntry({ ...watched, details: [{ name: 'From Google Ads' }] }), 'ads');
+    assert.equal(classifyEntry({ title: 'Watched a video that has been removed', time: watched.time }), 'removed');
+    assert.equal(classifyEntry({ ...watched, titleUrl: 'https://music.youtube.com/' }), 'nonVideo');
+    assert.equal(classifyEntry({ title: 'Searched for cats', time: watched.time }), 'nonVideo');
+    assert.equal(classifyEntry({ ...watched, time: undefined }), 'invalid');
+    assert.equal(classifyEntry(null), 'invalid');
+  });
+});
+
+describe('parseWatchHistory', () => {
+  it('parses a Takeout JSON export', async () => {
+    const history = await parseWatchHistory(path.join(FIXTURES, 'watch-history.json'), LIMITS);
+
+    assert.equal(history.format, 'json');
+    assert.equal(history.archiveEntry, null);
+    assert.deepEqual(history.stats, { totalEntries: 23, ads: 1, removedVideos: 1, nonVideo: 1, invalid: 0 });
+    assert.equal(history.entries.length, 20);
+    assert.deepEqual(history.entries[0], {
+      header: 'YouTube',
+      title: 'Watched Building a Bench Power Supply from Scratch',
+      titleUrl: 'https://www.youtube.com/watch?v=1Cx9zHVpDRg',
+      subtitles: [{ name: 'Circuit Bench', url: 'https://www.youtube.com/channel/UClh6swshJDOS_tqXQG521cR' }],
+      time: '2026-10-01T20:46:00.000Z'
+    });
+  });
+
+  it('reads a Takeout HTML export of the same history to the same entries', async () => {
+    const json = await parseWatchHistory(path.join(FIXTURES, 'watch-history.json'), LIMITS);
+    const html = await parseWatchHistory(path.join(FIXTURES, 'watch-history.html'), LIMITS);
+
+    assert.equal(html.format, 'html');
+    assert.deepEqual(html.stats, json.stats);
+    assert.deepEqual(html.entries, json.entries);
+  });
+
+  it('keeps HTML activity blocks that arrive split across reads', async () => {
+    // Small reads cut the outer-cell markers and blocks at arbitrary points
+    const filePath = writeTemp('split.html', readFixture('watch-history.html'));
+    const createReadStream = fs.createReadStream;
+    fs.createReadStream = (file, options) => createReadStream(file, { ...options, highWaterMark: 7 });
+    try {
+      const history = await parseWatchHistory(filePath, LIMITS);
+      assert.equal(history.entries.length, 20);
+    } finally {
+      fs.createReadStream = createReadStream;
+    }
+  });
+
+  it('finds the watch history inside a Takeout zip, in either format', async () => {
+    const jsonZip = writeTemp('takeout-json.zip', buildZip({
+      'Takeout/archive_browser.html': '<html></html>',
+      'Takeout/YouTube and YouTube Music/history/watch-history.json': readFixture('watch-history.json')
+    }));
+    const htmlZip = writeTemp('takeout-html.zip', buildZip({
+      'Takeout/YouTube and YouTube Music/history/watch-history.html': readFixture('watch-history.html')
+    }));
+
+    const fromJson = await parseWatchHistory(jsonZip, LIMITS);
+    assert.equal(fromJson.format, 'zip/json');
+    assert.equal(fromJson.archiveEntry, 'Takeout/YouTube and YouTube Music/history/watch-history.json');
+    assert.equal(fromJson.entries.length, 20);
+
+    const fromHtml = await parseWatchHistory(htmlZip, LIMITS);
+    assert.equal(fromHtml.format, 'zip/html');
+    assert.deepEqual(fromHtml.entries, fromJson.entries);
+  });
+
+  it('rejects a zip without a watch history', async () => {
+    const filePath = writeTemp('other.zip', buildZip({ 'Takeout/Mail/all.mbox': 'From nobody' }));
+    await assert.rejects(parseWatchHistory(filePath, LIMITS), {
+      status: 400,
+      message: /No watch-history\.json or watch-history\.html found/
+    });
+  });
+
+  it('rejects files that are not a watch history', async () => {
+    const cases = [
+      ['notes.txt', 'just some notes', /Unrecognized file/],
+      ['object.json', '{"title": "not a list"}', /should contain an array/],
+      ['broken.json', '[{"title": ', /Invalid JSON file format/],
+      ['broken.zip', Buffer.concat([Buffer.from([0x50, 0x4b, 0x03, 0x04]), Buffer.alloc(10)]), /Could not read/]
+    ];
+
+    for (const [name, contents, message] of cases) {
+      await assert.rejects(parseWatchHistory(writeTemp(name, contents), LIMITS), { status: 400, message }, name);
+    }
+  });
+});
+
+describe('watch history limits', () => {
+  const watches = (count) => JSON.stringify(Array.from({ length: count }, (_, index) => ({
+    header: 'YouTube',
+    title: `Watched Video ${index}`,
+    titleUrl: 'https://www.youtube.com/watch?v=1Cx9zHVpDRg',
+    time: '2024-01-01T00:00:00Z'
+  })));
+
+  it('rejects histories with more entries than allowed as 413', async () => {
+    const limits = { ...LIMITS, maxEntries: 22 };
+    const tooMany = { status: 413, message: /more than 22 entries/ };
+
+    await assert.rejects(parseWatchHistory(path.join(FIXTURES, 'watch-history.json'), limits), tooMany);
+    await assert.rejects(parseWatchHistory(path.join(FIXTURES, 'watch-history.html'), limits), tooMany);
+
+    // Skipped activity counts towards the cap too
+    const history = await parseWatchHistory(path.join(FIXTURES, 'watch-history.json'), { ...limits, maxEntries: 23 });
+    assert.equal(history.stats.totalEntries, 23);
+  });
+
+  it('rejects a zipped watch history larger than allowed as 413, before reading it', async () => {
+    const filePath = writeTemp('large.zip', buildZip({
+      'Takeout/YouTube and YouTube Music/history/watch-history.json': watches(10000)
+    }));
+
+    await assert.rejects(parseWatchHistory(filePath, { ...LIMITS, maxBytes: 1024 * 1024 }), {
+      status: 413,
+      message: /larger than the 1 MB limit/
+    });
+  });
+
+  it('rejects HTML with an activity block far larger than Takeout writes', async () => {
+    const filePath = writeTemp('huge-cell.html', `<html><body><div class="outer-cell">${'x'.repeat(1024 * 1024 + 1)}`);
+
+    await assert.rejects(parseWatchHistory(filePath, LIMITS), { status: 400, message: /Unrecognized HTML file/ });
+  });
+
+  it('reports progress every thousand entries', async () => {
+    const progress = [];
+    const filePath = writeTemp('progress.json', watches(2500));
+
+    const history = await parseWatchHistory(filePath, { ...LIMITS, maxEntries: 5000, onProgress: count => progress.push(count) });
+    assert.equal(history.entries.length, 2500);
+    assert.deepEqual(progress, [1000, 2000]);
+  });
+
+  it('stops reading when the signal is aborted', async () => {
+    const controller = new AbortController();
+    const filePath = writeTemp('aborted.json', watches(2500));
+    const onProgress = () => controller.abort();
+
+    await assert.rejects(
+      parseWatchHistory(filePath, { ...LIMITS, maxEntries: 5000, onProgress, signal: controller.signal }),
+      { name: 'AbortError' }
+    );
+    await assert.rejects(parseWatchHistory(filePath, { ...LIMITS, signal: controller.signal }), { name: 'AbortError' });
+  });
+});
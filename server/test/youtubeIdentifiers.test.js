@@ -0,0 +1,105 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseYouTubeInput, parseTimestamp } = require('../src/utils/youtubeIdentifiers');
+
+const VIDEO = 'dQw4w9WgXcQ';
+const CHANNEL = 'UClh6swshJDOS_tqXQG521cR';
+const PLAYLIST = 'PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf';
+
+const video = (playlistId = null, startSeconds = null) =>
+  ({ type: 'video', videoId: VIDEO, playlistId, startSeconds });
+
+// Every result echoes the input it was given
+const parsesTo = (cases) => {
+  cases.forEach(([input, expected]) => {
+    assert.deepEqual(parseYouTubeInput(input), { input, ...expected }, String(input));
+  });
+};
+
+describe('parseYouTubeInput', () => {
+  it('reads video links in every shape YouTube hands out', () => {
+    const links = [
+      `https://www.youtube.com/watch?v=${VIDEO}`,
+      `http://youtube.com/watch?feature=share&v=${VIDEO}`,
+      `https://m.youtube.com/watch?v=${VIDEO}`,
+      `https://music.youtube.com/watch?v=${VIDEO}`,
+      `https://youtu.be/${VIDEO}`,
+      `https://www.youtube.com/shorts/${VIDEO}`,
+      `https://www.youtube.com/embed/${VIDEO}`,
+      `https://www.youtube-nocookie.com/embed/${VIDEO}`,
+      `https://www.youtube.com/live/${VIDEO}?feature=share`,
+      `https://www.youtube.com/v/${VIDEO}`,
+      `www.youtube.com/watch?v=${VIDEO}`,
+      `youtu.be/${VIDEO}`,
+      VIDEO
+    ];
+
+    parsesTo(links.map(link => [link, video()]));
+  });
+
+  it('keeps the playlist and start time a video link carries', () => {
+    parsesTo([
+      [`https://www.youtube.com/watch?v=${VIDEO}&list=${PLAYLIST}&t=90`, video(PLAYLIST, 90)],
+      [`https://youtu.be/${VIDEO}?t=1m30s`, video(null, 90)],
+      [`https://www.youtube.com/embed/${VIDEO}?start=45`, video(null, 45)],
+      [`https://www.youtube.com/watch?v=${VIDEO}#t=1h2m3s`, video(null, 3723)],
+      // A list parameter that is not a playlist ID is dropped
+      [`https://www.youtube.com/watch?v=${VIDEO}&list=nope`, video()]
+    ]);
+  });
+
+  it('reads playlists, channels, handles and custom channel names', () => {
+    parsesTo([
+      [`https://www.youtube.com/playlist?list=${PLAYLIST}`, { type: 'playlist', playlistId: PLAYLIST }],
+      [`https://www.youtube.com/watch?list=${PLAYLIST}`, { type: 'playlist', playlistId: PLAYLIST }],
+      [`https://www.youtube.com/embed/videoseries?list=${PLAYLIST}`, { type: 'playlist', playlistId: PLAYLIST }],
+      [PLAYLIST, { type: 'playlist', playlistId: PLAYLIST }],
+      [`https://www.youtube.com/channel/${CHANNEL}/videos`, { type: 'channel', channelId: CHANNEL }],
+      [CHANNEL, { type: 'channel', channelId: CHANNEL }],
+      ['https://www.youtube.com/@CircuitBench', { type: 'handle', handle: '@CircuitBench' }],
+      ['  @circuit.bench  ', { type: 'handle', handle: '@circuit.bench' }],
+      ['https://www.youtube.com/c/CircuitBench', { type: 'custom', name: 'CircuitBench' }],
+      ['https://www.youtube.com/user/circuitbench', { type: 'custom', name: 'circuitbench' }],
+      ['https://www.youtube.com/CircuitBench', { type: 'custom', name: 'CircuitBench' }]
+    ]);
+  });
+
+  it('explains what is wrong with input it cannot use', () => {
+    const failures = [
+      ['', 'Expected a YouTube URL or ID.'],
+      [null, 'Expected a YouTube URL or ID.'],
+      ['https://vimeo.com/12345', 'Not a YouTube link.'],
+      ['javascript:alert(1)', 'Not a valid URL or YouTube ID.'],
+      [`ftp://youtube.com/watch?v=${VIDEO}`, 'Not a valid URL or YouTube ID.'],
+      ['https://youtu.be/', 'This youtu.be link has no video ID.'],
+      ['https://youtu.be/tooShort', 'The video ID in this link is not valid.'],
+      ['https://www.youtube.com/watch?feature=share', 'This watch link has no video ID.'],
+      ['https://www.youtube.com/shorts/', 'This link has no video ID.'],
+      ['https://www.youtube.com/playlist?list=abc', 'The playlist ID in this link is not valid.'],
+      ['https://www.youtube.com/embed/videoseries', 'The playlist ID in this link is not valid.'],
+      ['https://www.youtube.com/channel/UCshort', 'The channel ID in this link is not valid.'],
+      ['https://www.youtube.com/@a', 'The @handle in this link is not valid.'],
+      ['https://www.youtube.com/c/', 'The channel name in this link is not valid.'],
+      ['https://www.youtube.com/results?search_query=cats', 'This YouTube link does not point to a video, playlist or channel.'],
+      ['https://www.youtube.com/', 'This YouTube link does not point to a video, playlist or channel.']
+    ];
+
+    parsesTo(failures.map(([input, error]) => [input, { type: null, error }]));
+  });
+});
+
+describe('parseTimestamp', () => {
+  it('reads seconds and h/m/s durations', () => {
+    assert.equal(parseTimestamp('90'), 90);
+    assert.equal(parseTimestamp('90s'), 90);
+    assert.equal(parseTimestamp('2m'), 120);
+    assert.equal(parseTimestamp('1h2m3s'), 3723);
+  });
+
+  it('ignores anything else', () => {
+    [null, '', 'soon', '1:30', '-5', 'm'].forEach(value => {
+      assert.equal(parseTimestamp(value), null, String(value));
+    });
+  });
+});